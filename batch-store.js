@@ -0,0 +1,115 @@
+import { randomBytes } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+export const BATCH_ENDPOINTS = ['/v1/chat/completions', '/v1/completions', '/v1/embeddings'];
+export const ACTIVE_BATCH_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+const ID_PATTERN = /^batch_[0-9a-f]{24}$/;
+
+export function describeBatch(batch) {
+    const { owner, ...description } = batch;
+    return description;
+}
+
+export function createBatchStore(directory, { log } = {}) {
+    const batches = new Map();
+    const statePath = id => join(directory, `${id}.json`);
+    const resultPath = (id, kind) => join(directory, `${id}.${kind}.jsonl`);
+
+    const save = (batch) => {
+        mkdirSync(directory, { recursive: true });
+        writeFileSync(statePath(batch.id), JSON.stringify(batch) + '\n', { mode: 0o600 });
+    };
+
+    return {
+        load() {
+            if (!existsSync(directory)) {
+                return;
+            }
+            for (const file of readdirSync(directory).filter(name => /^batch_[0-9a-f]+\.json$/.test(name))) {
+                try {
+                    const batch = JSON.parse(readFileSync(join(directory, file), 'utf8'));
+                    if (ID_PATTERN.test(batch.id) && `${batch.id}.json` === file) {
+                        batches.set(batch.id, batch);
+                        continue;
+                    }
+                    log?.warn('Ignoring batch file with an unexpected id', { file });
+                } catch (error) {
+                    log?.warn('Ignoring unreadable batch file', { file, error: error.message });
+                }
+            }
+            log?.info('Loaded batches', { path: directory, batches: batches.size, active: this.active().length });
+        },
+
+        create({ owner, inputFileId, endpoint, completionWindowSeconds, completionWindow, metadata }) {
+            const createdAt = Math.floor(Date.now() / 1000);
+            const batch = {
+                id: `batch_${randomBytes(12).toString('hex')}`,
+                object: 'batch',
+                endpoint,
+                errors: null,
+                input_file_id: inputFileId,
+                completion_window: completionWindow,
+                status: 'validating',
+                output_file_id: null,
+                error_file_id: null,
+                created_at: createdAt,
+                in_progress_at: null,
+                expires_at: createdAt + completionWindowSeconds,
+                finalizing_at: null,
+                completed_at: null,
+                failed_at: null,
+                expired_at: null,
+                cancelling_at: null,
+                cancelled_at: null,
+                request_counts: { total: 0, completed: 0, failed: 0 },
+                metadata,
+                owner
+            };
+            save(batch);
+            batches.set(batch.id, batch);
+            return batch;
+        },
+
+        get(id, owner) {
+            const batch = batches.get(id);
+            return batch && batch.owner === owner ? batch : null;
+        },
+
+        list(owner) {
+            return [...batches.values()]
+                .filter(batch => batch.owner === owner)
+                .sort((a, b) => b.created_at - a.created_at || b.id.localeCompare(a.id));
+        },
+
+        active() {
+            return [...batches.values()]
+                .filter(batch => ACTIVE_BATCH_STATUSES.includes(batch.status))
+                .sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+        },
+
+        save,
+
+        resultPath,
+
+        appendResult(batch, kind, line) {
+            mkdirSync(directory, { recursive: true });
+            appendFileSync(resultPath(batch.id, kind), JSON.stringify(line) + '\n', { mode: 0o600 });
+        },
+
+        readResults(batch, kind) {
+            const path = resultPath(batch.id, kind);
+            if (!existsSync(path)) {
+                return [];
+            }
+            return readFileSync(path, 'utf8').split('\n').filter(line => line.trim()).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return [];
+                }
+            });
+        }
+    };
+}
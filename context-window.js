@@ -0,0 +1,82 @@
+export const CONTEXT_STRATEGIES = ['off', 'drop_oldest', 'sliding_window', 'summarize'];
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 576;
+
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+export function countMessageTokens(message) {
+    return MESSAGE_OVERHEAD_TOKENS
+        + estimateTokens(typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? ''))
+        + (message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0)
+        + (message.images?.length || 0) * IMAGE_TOKENS;
+}
+
+function countTokens(messages) {
+    return messages.reduce((total, message) => total + countMessageTokens(message), 0);
+}
+
+function groupTurns(messages) {
+    const turns = [];
+    for (const message of messages) {
+        if (message.role === 'user' || turns.length === 0) {
+            turns.push([message]);
+        } else {
+            turns[turns.length - 1].push(message);
+        }
+    }
+    return turns;
+}
+
+export async function fitMessages(messages, { budget, strategy = 'drop_oldest', windowTurns = 8, summaryTokens = 400, summarize } = {}) {
+    const tokensBefore = countTokens(messages);
+    if (strategy === 'off' || (tokensBefore <= budget && strategy !== 'sliding_window')) {
+        return { messages, report: null };
+    }
+
+    const system = messages.filter(message => message.role === 'system');
+    const turns = groupTurns(messages.filter(message => message.role !== 'system'));
+    const fixedTokens = countTokens(system);
+    const turnTokens = turns.map(countTokens);
+    const sizeFrom = start => fixedTokens + turnTokens.slice(start).reduce((total, tokens) => total + tokens, 0);
+    const summaryReserve = strategy === 'summarize' ? summaryTokens + MESSAGE_OVERHEAD_TOKENS : 0;
+
+    let start = strategy === 'sliding_window' ? Math.max(0, turns.length - windowTurns) : 0;
+    while (start < turns.length - 1 && sizeFrom(start) > budget - summaryReserve) {
+        start++;
+    }
+
+    const dropped = turns.slice(0, start).flat();
+    const kept = turns.slice(start).flat();
+    const report = {
+        strategy,
+        budget_tokens: budget,
+        tokens_before: tokensBefore,
+        dropped_messages: dropped.length,
+        summarized_messages: 0
+    };
+
+    let summary = null;
+    if (strategy === 'summarize' && dropped.length > 0) {
+        try {
+            const text = await summarize(dropped);
+            if (text) {
+                summary = { role: 'system', content: `Summary of the earlier conversation:\n${text}` };
+                report.summarized_messages = dropped.length;
+                report.dropped_messages = 0;
+            }
+        } catch (error) {
+            report.summary_error = error.message;
+        }
+    }
+
+    const fitted = [...system, ...(summary ? [summary] : []), ...kept];
+    if (dropped.length === 0 && tokensBefore <= budget) {
+        return { messages, report: null };
+    }
+    report.tokens_after = countTokens(fitted);
+    report.fits = report.tokens_after <= budget;
+    return { messages: fitted, report };
+}
@@ -0,0 +1,98 @@
+import { randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const ID_PATTERN = /^conv_[0-9a-f]{24}$/;
+
+export function describeConversation(conversation) {
+    return {
+        id: conversation.id,
+        object: 'conversation',
+        model: conversation.model,
+        title: conversation.title,
+        system: conversation.system,
+        options: conversation.options,
+        message_count: conversation.messages.length,
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at
+    };
+}
+
+export function createConversationStore(directory, { log } = {}) {
+    const conversations = new Map();
+    const pathFor = id => join(directory, `${id}.json`);
+
+    const save = (conversation) => {
+        mkdirSync(directory, { recursive: true });
+        writeFileSync(pathFor(conversation.id), JSON.stringify(conversation) + '\n', { mode: 0o600 });
+    };
+
+    return {
+        get size() {
+            return conversations.size;
+        },
+
+        load() {
+            if (!existsSync(directory)) {
+                return;
+            }
+            for (const file of readdirSync(directory).filter(name => name.endsWith('.json'))) {
+                try {
+                    const conversation = JSON.parse(readFileSync(join(directory, file), 'utf8'));
+                    if (ID_PATTERN.test(conversation.id) && `${conversation.id}.json` === file) {
+                        conversations.set(conversation.id, conversation);
+                        continue;
+                    }
+                    log?.warn('Ignoring conversation file with an unexpected id', { file });
+                } catch (error) {
+                    log?.warn('Ignoring unreadable conversation file', { file, error: error.message });
+                }
+            }
+            log?.info('Loaded conversations', { path: directory, conversations: conversations.size });
+        },
+
+        create({ owner, model, system = null, title = null, options = {} }) {
+            const now = new Date().toISOString();
+            const conversation = {
+                id: `conv_${randomBytes(12).toString('hex')}`,
+                owner,
+                model,
+                title,
+                system,
+                options,
+                created_at: now,
+                updated_at: now,
+                messages: []
+            };
+            save(conversation);
+            conversations.set(conversation.id, conversation);
+            return conversation;
+        },
+
+        get(id, owner) {
+            const conversation = conversations.get(id);
+            return conversation && conversation.owner === owner ? conversation : null;
+        },
+
+        list(owner) {
+            return [...conversations.values()]
+                .filter(conversation => conversation.owner === owner)
+                .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        },
+
+        append(conversation, messages) {
+            conversation.messages.push(...messages);
+            conversation.updated_at = new Date().toISOString();
+            save(conversation);
+        },
+
+        remove(id, owner) {
+            if (!this.get(id, owner)) {
+                return false;
+            }
+            conversations.delete(id);
+            rmSync(pathFor(id), { force: true });
+            return true;
+        }
+    };
+}
@@ -0,0 +1,101 @@
+import { randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, statSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const ID_PATTERN = /^file-[0-9a-f]{24}$/;
+
+export function describeFile(file) {
+    return {
+        id: file.id,
+        object: 'file',
+        bytes: file.bytes,
+        created_at: file.created_at,
+        filename: file.filename,
+        purpose: file.purpose,
+        status: 'processed',
+        status_details: null,
+        expires_at: null
+    };
+}
+
+export function createFileStore(directory, { log } = {}) {
+    const files = new Map();
+    const metadataPath = id => join(directory, `${id}.json`);
+    const contentPath = id => join(directory, `${id}.data`);
+
+    const register = ({ owner, filename, purpose }, write) => {
+        const id = `file-${randomBytes(12).toString('hex')}`;
+        mkdirSync(directory, { recursive: true });
+        write(contentPath(id));
+        const file = {
+            id,
+            owner,
+            filename,
+            purpose,
+            bytes: statSync(contentPath(id)).size,
+            created_at: Math.floor(Date.now() / 1000)
+        };
+        writeFileSync(metadataPath(id), JSON.stringify(file) + '\n', { mode: 0o600 });
+        files.set(id, file);
+        return file;
+    };
+
+    return {
+        load() {
+            if (!existsSync(directory)) {
+                return;
+            }
+            for (const name of readdirSync(directory).filter(entry => entry.endsWith('.json'))) {
+                try {
+                    const file = JSON.parse(readFileSync(join(directory, name), 'utf8'));
+                    if (ID_PATTERN.test(file.id) && `${file.id}.json` === name && existsSync(contentPath(file.id))) {
+                        files.set(file.id, file);
+                        continue;
+                    }
+                    log?.warn('Ignoring file without content or with an unexpected id', { file: name });
+                } catch (error) {
+                    log?.warn('Ignoring unreadable file metadata', { file: name, error: error.message });
+                }
+            }
+            log?.info('Loaded files', { path: directory, files: files.size });
+        },
+
+        create({ owner, filename, purpose, data }) {
+            return register({ owner, filename, purpose }, path => writeFileSync(path, data, { mode: 0o600 }));
+        },
+
+        adopt(source, { owner, filename, purpose }) {
+            if (!existsSync(source)) {
+                return null;
+            }
+            return register({ owner, filename, purpose }, path => renameSync(source, path));
+        },
+
+        get(id, owner) {
+            const file = files.get(id);
+            return file && file.owner === owner ? file : null;
+        },
+
+        list(owner, purpose) {
+            return [...files.values()]
+                .filter(file => file.owner === owner && (!purpose || file.purpose === purpose))
+                .sort((a, b) => b.created_at - a.created_at || b.id.localeCompare(a.id));
+        },
+
+        read(id) {
+            return readFileSync(contentPath(id), 'utf8');
+        },
+
+        contentPath,
+
+        remove(id, owner) {
+            if (!this.get(id, owner)) {
+                return false;
+            }
+            files.delete(id);
+            rmSync(metadataPath(id), { force: true });
+            rmSync(contentPath(id), { force: true });
+            return true;
+        }
+    };
+}
@@ -0,0 +1,163 @@
+const TYPE_CHECKS = {
+    null: value => value === null,
+    boolean: value => typeof value === 'boolean',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    string: value => typeof value === 'string',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local schema references are supported, got "${ref}"`);
+    }
+    const target = ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => node?.[part], root);
+    if (target === undefined) {
+        throw new Error(`Schema reference "${ref}" does not exist`);
+    }
+    return target;
+}
+
+function describe(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function validate(value, schema, root, path, errors) {
+    if (schema === true || schema === undefined) {
+        return;
+    }
+    if (schema === false) {
+        errors.push(`${path} is not allowed`);
+        return;
+    }
+    if (schema.$ref) {
+        validate(value, resolveRef(root, schema.$ref), root, path, errors);
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => TYPE_CHECKS[type]?.(value))) {
+            errors.push(`${path} must be ${types.join(' or ')}, got ${describe(value)}`);
+            return;
+        }
+    }
+    if (schema.const !== undefined && !isEqual(value, schema.const)) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.some(option => isEqual(value, option))) {
+        errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path} must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(`${path} must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+            errors.push(`${path} must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        const prefixItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : []);
+        const items = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+        value.forEach((item, index) => {
+            validate(item, index < prefixItems.length ? prefixItems[index] : items, root, `${path}[${index}]`, errors);
+        });
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => isEqual(item, other)) !== index)) {
+            errors.push(`${path} must not contain duplicate items`);
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern, 'u'), subschema]);
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push(`${path}.${name} is required`);
+            }
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const matching = patterns.filter(([pattern]) => pattern.test(name));
+            if (name in properties) {
+                validate(item, properties[name], root, `${path}.${name}`, errors);
+            }
+            matching.forEach(([, subschema]) => validate(item, subschema, root, `${path}.${name}`, errors));
+            if (!(name in properties) && matching.length === 0 && schema.additionalProperties !== undefined) {
+                validate(item, schema.additionalProperties, root, `${path}.${name}`, errors);
+            }
+        }
+        const count = Object.keys(value).length;
+        if (schema.minProperties !== undefined && count < schema.minProperties) {
+            errors.push(`${path} must have at least ${schema.minProperties} properties`);
+        }
+        if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+            errors.push(`${path} must have at most ${schema.maxProperties} properties`);
+        }
+    }
+
+    for (const subschema of schema.allOf || []) {
+        validate(value, subschema, root, path, errors);
+    }
+    if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(value, subschema, root, path).length === 0)) {
+        errors.push(`${path} must match at least one of the allowed schemas`);
+    }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(subschema => validateJsonSchema(value, subschema, root, path).length === 0).length;
+        if (matches !== 1) {
+            errors.push(`${path} must match exactly one of the allowed schemas, matched ${matches}`);
+        }
+    }
+    if (schema.not && validateJsonSchema(value, schema.not, root, path).length === 0) {
+        errors.push(`${path} must not match the excluded schema`);
+    }
+}
+
+export function validateJsonSchema(value, schema, root = schema, path = '$') {
+    const errors = [];
+    validate(value, schema, root, path, errors);
+    return errors;
+}
@@ -0,0 +1,125 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+export const KEY_SCOPES = ['native', 'openai', 'google', 'admin'];
+
+export function hashKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+export function generateKey() {
+    return `mlv_${randomBytes(24).toString('base64url')}`;
+}
+
+export function loadKeys(path) {
+    if (!existsSync(path)) {
+        return [];
+    }
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return data.keys || [];
+}
+
+export function saveKeys(path, keys) {
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify({ keys }, null, 2) + '\n', { mode: 0o600 });
+}
+
+export function parseExpiry(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const relative = /^(\d+)d$/.exec(String(value));
+    const date = relative
+        ? new Date(Date.now() + Number(relative[1]) * 24 * 60 * 60 * 1000)
+        : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid expiry "${value}" - use an ISO date or a number of days like "30d"`);
+    }
+    return date.toISOString();
+}
+
+function parseLimit(name, value, min = 0) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < min) {
+        throw new Error(`${name} must be a whole number >= ${min}`);
+    }
+    return limit;
+}
+
+export function createKey({ label, scopes = KEY_SCOPES.filter(scope => scope !== 'admin'), models = ['*'], expires, rpm, tpd, priority } = {}) {
+    if (!label || typeof label !== 'string') {
+        throw new Error('A key needs a label');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !KEY_SCOPES.includes(scope))) {
+        throw new Error(`Scopes must be a non-empty list of: ${KEY_SCOPES.join(', ')}`);
+    }
+    if (!Array.isArray(models) || models.length === 0 || models.some(model => typeof model !== 'string')) {
+        throw new Error('Models must be a non-empty list of model names (use "*" for all models)');
+    }
+
+    const key = generateKey();
+    const record = {
+        id: `key_${randomBytes(6).toString('hex')}`,
+        label,
+        prefix: key.slice(0, 8),
+        hash: hashKey(key),
+        scopes,
+        models,
+        created_at: new Date().toISOString(),
+        expires_at: parseExpiry(expires),
+        revoked_at: null
+    };
+
+    const requestLimit = parseLimit('rpm', rpm);
+    const tokenLimit = parseLimit('tpd', tpd);
+    const queuePriority = parseLimit('priority', priority, -100);
+    if (requestLimit !== undefined) {
+        record.rpm = requestLimit;
+    }
+    if (tokenLimit !== undefined) {
+        record.tpd = tokenLimit;
+    }
+    if (queuePriority !== undefined) {
+        record.priority = queuePriority;
+    }
+
+    return { key, record };
+}
+
+export function findKey(keys, presented) {
+    const presentedHash = Buffer.from(hashKey(presented), 'hex');
+    let match = null;
+    for (const record of keys) {
+        const storedHash = Buffer.from(record.hash, 'hex');
+        if (storedHash.length === presentedHash.length && timingSafeEqual(storedHash, presentedHash) && !match) {
+            match = record;
+        }
+    }
+    return match;
+}
+
+export function describeKey(record) {
+    const { hash, ...visible } = record;
+    return {
+        ...visible,
+        status: getKeyStatus(record)
+    };
+}
+
+export function getKeyStatus(record, now = Date.now()) {
+    if (record.revoked_at) {
+        return 'revoked';
+    }
+    if (record.expires_at && new Date(record.expires_at).getTime() <= now) {
+        return 'expired';
+    }
+    return 'active';
+}
+
+export function keysFileVersion(path) {
+    return existsSync(path) ? statSync(path).mtimeMs : 0;
+}
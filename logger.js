@@ -0,0 +1,66 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const PROMPT_LOG_MODES = ['off', 'truncated', 'hashed', 'full'];
+
+const PROMPT_PREVIEW_LENGTH = 100;
+const requestContext = new AsyncLocalStorage();
+
+export function runWithContext(context, callback) {
+    return requestContext.run(context, callback);
+}
+
+function formatText(entry) {
+    const { time, level, msg, request_id, ...fields } = entry;
+    const details = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${request_id ? `[${request_id}] ` : ''}${msg}${details ? ` ${details}` : ''}\n`;
+}
+
+export function redactPrompt(text, mode) {
+    if (mode === 'full') {
+        return text;
+    }
+    if (mode === 'hashed') {
+        return `sha256:${createHash('sha256').update(text).digest('hex').slice(0, 16)}`;
+    }
+    if (mode === 'truncated') {
+        return text.length > PROMPT_PREVIEW_LENGTH ? `${text.slice(0, PROMPT_PREVIEW_LENGTH)}…` : text;
+    }
+    return undefined;
+}
+
+export function createLogger({ level = 'info', format = 'json', prompts = 'off' } = {}) {
+    const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+    const write = (levelName, message, fields = {}) => {
+        if (LOG_LEVELS[levelName] < threshold) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level: levelName,
+            msg: message,
+            ...requestContext.getStore(),
+            ...fields
+        };
+        const stream = LOG_LEVELS[levelName] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(format === 'text' ? formatText(entry) : JSON.stringify(entry) + '\n');
+    };
+
+    return {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        promptFields(text) {
+            if (prompts === 'off' || typeof text !== 'string') {
+                return {};
+            }
+            return { prompt: redactPrompt(text, prompts), prompt_chars: text.length };
+        }
+    };
+}
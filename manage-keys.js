@@ -0,0 +1,96 @@
+import dotenv from 'dotenv';
+import { KEY_SCOPES, createKey, describeKey, loadKeys, saveKeys } from './key-store.js';
+
+dotenv.config();
+
+const KEYS_FILE = process.env.KEYS_FILE || 'data/keys.json';
+
+function parseArgs(args) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { options, positional };
+}
+
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  npm run keys -- list');
+    console.log('  npm run keys -- create --label <name> [--scopes native,openai] [--models gpt-4o-mini,llama32-3b] [--expires 30d|2026-12-31] [--rpm 60] [--tpd 100000] [--priority 10]');
+    console.log('  npm run keys -- revoke <key-id>');
+    console.log(`\nScopes: ${KEY_SCOPES.join(', ')} (default: all except admin)`);
+    console.log(`Keys file: ${KEYS_FILE}`);
+}
+
+function listKeys() {
+    const keys = loadKeys(KEYS_FILE);
+    if (keys.length === 0) {
+        console.log(`No API keys in ${KEYS_FILE}`);
+        return;
+    }
+    console.log(`📋 API keys in ${KEYS_FILE}:\n`);
+    for (const key of keys.map(describeKey)) {
+        const icon = key.status === 'active' ? '✅' : '❌';
+        console.log(`${icon} ${key.id}  ${key.prefix}…  "${key.label}"  [${key.status}]`);
+        console.log(`   scopes: ${key.scopes.join(', ')}  models: ${key.models.join(', ')}  expires: ${key.expires_at || 'never'}`);
+        console.log(`   limits: ${key.rpm ?? 'default'} requests/min, ${key.tpd ?? 'default'} tokens/day, queue priority ${key.priority ?? 0}`);
+    }
+}
+
+function addKey(options) {
+    const { key, record } = createKey({
+        label: options.label,
+        scopes: splitList(options.scopes),
+        models: splitList(options.models),
+        expires: options.expires,
+        rpm: options.rpm,
+        tpd: options.tpd,
+        priority: options.priority
+    });
+    saveKeys(KEYS_FILE, [...loadKeys(KEYS_FILE), record]);
+
+    console.log(`✅ Created API key ${record.id} ("${record.label}")`);
+    console.log(`   scopes: ${record.scopes.join(', ')}  models: ${record.models.join(', ')}  expires: ${record.expires_at || 'never'}`);
+    console.log(`\n   ${key}\n`);
+    console.log('⚠️  Store this key now - only its hash is saved, it cannot be shown again.');
+}
+
+function revokeKey(id) {
+    const keys = loadKeys(KEYS_FILE);
+    const record = keys.find(candidate => candidate.id === id);
+    if (!record) {
+        throw new Error(`API key ${id} not found in ${KEYS_FILE}`);
+    }
+    record.revoked_at = record.revoked_at || new Date().toISOString();
+    saveKeys(KEYS_FILE, keys);
+    console.log(`✅ Revoked API key ${record.id} ("${record.label}")`);
+}
+
+const { options, positional } = parseArgs(process.argv.slice(2));
+const command = positional[0];
+
+try {
+    if (command === 'list') {
+        listKeys();
+    } else if (command === 'create') {
+        addKey(options);
+    } else if (command === 'revoke' && positional[1]) {
+        revokeKey(positional[1]);
+    } else {
+        printUsage();
+        process.exitCode = command ? 1 : 0;
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,113 @@
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createSeries() {
+    const series = new Map();
+    return {
+        get(labels, create) {
+            const key = labelKey(labels);
+            if (!series.has(key)) {
+                series.set(key, { labels, value: create() });
+            }
+            return series.get(key);
+        },
+        values: () => series.values()
+    };
+}
+
+function createCounter(name, help) {
+    const series = createSeries();
+    return {
+        inc(labels = {}, value = 1) {
+            series.get(labels, () => 0).value += value;
+        },
+        render() {
+            return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        },
+        name,
+        help,
+        type: 'counter'
+    };
+}
+
+function createGauge(name, help, collect) {
+    const series = createSeries();
+    return {
+        inc(labels = {}, value = 1) {
+            series.get(labels, () => 0).value += value;
+        },
+        dec(labels = {}, value = 1) {
+            series.get(labels, () => 0).value -= value;
+        },
+        render() {
+            const values = collect ? collect() : [...series.values()];
+            return values.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        },
+        name,
+        help,
+        type: 'gauge'
+    };
+}
+
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = createSeries();
+    return {
+        observe(labels, value) {
+            const histogram = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 })).value;
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    histogram.counts[index]++;
+                }
+            });
+            histogram.sum += value;
+            histogram.count++;
+        },
+        render() {
+            const lines = [];
+            for (const { labels, value } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+            }
+            return lines;
+        },
+        name,
+        help,
+        type: 'histogram'
+    };
+}
+
+export function createRegistry(prefix = '') {
+    const metrics = [];
+    const register = (metric) => {
+        metrics.push(metric);
+        return metric;
+    };
+    return {
+        counter: (name, help) => register(createCounter(prefix + name, help)),
+        gauge: (name, help, collect) => register(createGauge(prefix + name, help, collect)),
+        histogram: (name, help, buckets) => register(createHistogram(prefix + name, help, buckets)),
+        render() {
+            return metrics.map(metric => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.render()
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
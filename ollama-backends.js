@@ -0,0 +1,125 @@
+export const ROUTING_STRATEGIES = ['least-busy', 'round-robin'];
+
+export function normalizeOllamaTag(tag) {
+    return tag.includes(':') ? tag : `${tag}:latest`;
+}
+
+export function parseBackendUrls(value) {
+    return value.split(',').map(url => url.trim().replace(/\/+$/, '')).filter(Boolean).map(url => ({
+        name: new URL(url).host,
+        url
+    }));
+}
+
+function createBackend({ name, url, models }) {
+    return {
+        name,
+        url: url.replace(/\/+$/, ''),
+        models: models ? models.map(normalizeOllamaTag) : null,
+        installed: null,
+        healthy: true,
+        active: 0,
+        served: 0,
+        failures: 0,
+        lastError: null,
+        lastCheckedAt: null,
+        latencyMs: null
+    };
+}
+
+export function createBackendPool(definitions, { routing = 'least-busy', probeTimeout = 5000, log, onChange } = {}) {
+    const backends = definitions.map(createBackend);
+    let cursor = 0;
+
+    const serves = (backend, model) => {
+        const tag = normalizeOllamaTag(model);
+        const known = backend.models || backend.installed;
+        return !known || known.includes(tag);
+    };
+
+    const setHealth = (backend, healthy, error) => {
+        const changed = backend.healthy !== healthy;
+        backend.healthy = healthy;
+        backend.lastError = error ? (error.cause?.code ? `${error.message} (${error.cause.code})` : error.message) : null;
+        if (!changed) {
+            return;
+        }
+        if (healthy) {
+            log?.info('Ollama backend is back up', { backend: backend.name, url: backend.url });
+        } else {
+            log?.warn('Ollama backend is down', { backend: backend.name, url: backend.url, error: error?.message });
+        }
+        onChange?.(backend);
+    };
+
+    const probeBackend = async (backend) => {
+        const startTime = Date.now();
+        try {
+            const response = await fetch(`${backend.url}/api/tags`, { signal: AbortSignal.timeout(probeTimeout) });
+            if (!response.ok) {
+                throw new Error(`Ollama service not responding (${response.status})`);
+            }
+            const data = await response.json();
+            backend.installed = (data.models || []).map(model => normalizeOllamaTag(model.name));
+            backend.latencyMs = Date.now() - startTime;
+            setHealth(backend, true);
+            return data.models || [];
+        } catch (error) {
+            setHealth(backend, false, error.name === 'TimeoutError' ? new Error(`No answer within ${probeTimeout}ms`) : error);
+            return null;
+        } finally {
+            backend.lastCheckedAt = new Date().toISOString();
+        }
+    };
+
+    return {
+        backends,
+        routing,
+
+        capacity(model) {
+            return Math.max(1, backends.filter(backend => backend.healthy && serves(backend, model)).length);
+        },
+
+        select(model, exclude = []) {
+            const available = backends.filter(backend => !exclude.includes(backend) && serves(backend, model));
+            const healthy = available.filter(backend => backend.healthy);
+            const pool = healthy.length > 0 ? healthy : available;
+            if (pool.length === 0) {
+                return null;
+            }
+
+            const start = cursor++ % pool.length;
+            const ordered = [...pool.slice(start), ...pool.slice(0, start)];
+            if (routing === 'round-robin') {
+                return ordered[0];
+            }
+            return ordered.reduce((best, backend) => backend.active < best.active ? backend : best);
+        },
+
+        markDown(backend, error) {
+            backend.failures++;
+            setHealth(backend, false, error);
+        },
+
+        async probe() {
+            const results = await Promise.all(backends.map(probeBackend));
+            return backends.map((backend, index) => ({ backend, models: results[index] }));
+        },
+
+        status() {
+            return backends.map(backend => ({
+                name: backend.name,
+                url: backend.url,
+                status: backend.healthy ? 'up' : 'down',
+                models: backend.models || backend.installed || [],
+                models_source: backend.models ? 'config' : 'discovered',
+                active: backend.active,
+                served: backend.served,
+                failures: backend.failures,
+                latency_ms: backend.latencyMs,
+                last_checked_at: backend.lastCheckedAt,
+                last_error: backend.lastError
+            }));
+        }
+    };
+}
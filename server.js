@@ -1,5 +1,25 @@
 import express from 'express';
 import dotenv from 'dotenv';
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join, resolve as resolvePath } from 'path';
+import http from 'http';
+import https from 'https';
+import { lookup as dnsLookup } from 'dns';
+import { BlockList, isIP } from 'net';
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { KEY_SCOPES, createKey, describeKey, findKey, getKeyStatus, hashKey, keysFileVersion, loadKeys, saveKeys } from './key-store.js';
+import { SUMMARY_FIELDS, USAGE_FIELDS, appendUsage, readUsage, summarizeUsage, toCSV } from './usage-log.js';
+import { createRegistry } from './metrics.js';
+import { PROMPT_LOG_MODES, createLogger, runWithContext } from './logger.js';
+import { ROUTING_STRATEGIES, createBackendPool, normalizeOllamaTag, parseBackendUrls } from './ollama-backends.js';
+import { validateJsonSchema } from './json-schema.js';
+import { createConversationStore, describeConversation } from './conversation-store.js';
+import { CONTEXT_STRATEGIES, estimateTokens, fitMessages } from './context-window.js';
+import { createTemplateStore, describeTemplate, renderTemplate } from './template-store.js';
+import { createFileStore, describeFile } from './file-store.js';
+import { BATCH_ENDPOINTS, createBatchStore, describeBatch } from './batch-store.js';
 import { GoogleGenAI } from '@google/genai';
 
 dotenv.config();
@@ -8,9 +28,122 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const OLLAMA_API_URL = 'http://localhost:11434';
+const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://localhost:11434';
+const OLLAMA_ROUTING = ROUTING_STRATEGIES.includes(process.env.OLLAMA_ROUTING) ? process.env.OLLAMA_ROUTING : 'least-busy';
+const OLLAMA_HEALTH_INTERVAL_MS = Number(process.env.OLLAMA_HEALTH_INTERVAL_MS) || 15000;
+const MODELS_CONFIG = process.env.MODELS_CONFIG || 'models.json';
+const KEYS_FILE = process.env.KEYS_FILE || 'data/keys.json';
+const RATE_LIMIT_RPM = Number(process.env.RATE_LIMIT_RPM) || 0;
+const TOKEN_QUOTA_DAILY = Number(process.env.TOKEN_QUOTA_DAILY) || 0;
+const MODEL_MAX_CONCURRENCY = Number(process.env.MODEL_MAX_CONCURRENCY) || 1;
+const MODEL_MAX_QUEUE = Number(process.env.MODEL_MAX_QUEUE) || 16;
+const QUEUE_TIMEOUT_MS = Number(process.env.QUEUE_TIMEOUT_MS) || 60000;
+const MODEL_INFO_TIMEOUT_MS = 10000;
+const RESPONSE_CACHE = ['memory', 'disk'].includes(process.env.RESPONSE_CACHE) ? process.env.RESPONSE_CACHE : 'off';
+const RESPONSE_CACHE_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500;
+const RESPONSE_CACHE_TTL_MS = Number(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000;
+const RESPONSE_CACHE_DIR = process.env.RESPONSE_CACHE_DIR || 'data/cache';
+const USAGE_LOG = process.env.USAGE_LOG || 'data/usage.jsonl';
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || 'data/conversations';
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || 'data/templates';
+const FILES_DIR = process.env.FILES_DIR || 'data/files';
+const BATCHES_DIR = process.env.BATCHES_DIR || 'data/batches';
+const FILE_UPLOAD_LIMIT = process.env.FILE_UPLOAD_LIMIT || '100mb';
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 1;
+const BATCH_MAX_REQUESTS = 50000;
+const BATCH_MAX_ATTEMPTS = 5;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const STRUCTURED_OUTPUT_RETRIES = Math.max(0, Number(process.env.STRUCTURED_OUTPUT_RETRIES ?? 2) || 0);
+const CONTEXT_STRATEGY = CONTEXT_STRATEGIES.includes(process.env.CONTEXT_STRATEGY) ? process.env.CONTEXT_STRATEGY : 'drop_oldest';
+const CONTEXT_WINDOW_TURNS = Number(process.env.CONTEXT_WINDOW_TURNS) || 8;
+const CONTEXT_RESPONSE_TOKENS = Number(process.env.CONTEXT_RESPONSE_TOKENS) || 1024;
+const CONTEXT_SUMMARY_MODEL = process.env.CONTEXT_SUMMARY_MODEL || 'llama32-1b';
+const CONTEXT_SUMMARY_TOKENS = 400;
+const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '20mb';
+const IMAGE_URL_FETCH = process.env.IMAGE_URL_FETCH === 'on';
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+const MAX_IMAGES_PER_REQUEST = 16;
+const MAX_IMAGE_REDIRECTS = 5;
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_PROMPTS = PROMPT_LOG_MODES.includes(process.env.LOG_PROMPTS) ? process.env.LOG_PROMPTS : 'off';
 
-app.use(express.json());
+const log = createLogger({ level: LOG_LEVEL, format: LOG_FORMAT, prompts: LOG_PROMPTS });
+
+app.use((req, res, next) => {
+    const presented = req.get('x-request-id');
+    req.id = presented && /^[\w.:-]{1,128}$/.test(presented) ? presented : randomUUID();
+    res.setHeader('x-request-id', req.id);
+
+    const originalJson = res.json;
+    res.json = function(body) {
+        if (res.statusCode >= 400 && body?.error) {
+            body = typeof body.error === 'object'
+                ? { ...body, error: { ...body.error, request_id: req.id } }
+                : { ...body, request_id: req.id };
+        }
+        return originalJson.call(this, body);
+    };
+
+    const startTime = Date.now();
+    res.once('close', () => {
+        const status = res.writableFinished ? res.statusCode : 499;
+        const level = status >= 500 ? 'error' : (status >= 400 ? 'warn' : 'info');
+        log[level]('Request completed', {
+            request_id: req.id,
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+            path: req.originalUrl.split('?')[0],
+            status,
+            latency_ms: Date.now() - startTime,
+            model: res.locals.model,
+            key_id: req.apiKey?.id,
+            ip: req.ip
+        });
+    });
+    next();
+});
+
+app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
+
+app.use((req, res, next) => runWithContext({ request_id: req.id }, next));
+
+const metrics = createRegistry('mileva_');
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route, model and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency in seconds by route and model');
+const httpInFlight = metrics.gauge('http_requests_in_flight', 'HTTP requests currently being handled');
+const tokensTotal = metrics.counter('tokens_total', 'Tokens processed by model and type (prompt or completion)');
+const timeoutsTotal = metrics.counter('timeouts_total', 'Requests that timed out waiting in the queue or for Ollama');
+const ollamaErrors = metrics.counter('ollama_errors_total', 'Failed calls to Ollama by backend, endpoint and reason');
+const ollamaFailovers = metrics.counter('ollama_failovers_total', 'Requests moved to another Ollama backend after a connection error');
+metrics.gauge('ollama_backend_up', 'Whether an Ollama backend passed its last health check', () => ollamaBackends.backends.map(backend => ({ labels: { backend: backend.name }, value: backend.healthy ? 1 : 0 })));
+metrics.gauge('ollama_backend_active_requests', 'Requests currently running on an Ollama backend', () => ollamaBackends.backends.map(backend => ({ labels: { backend: backend.name }, value: backend.active })));
+const geminiRequests = metrics.counter('gemini_requests_total', 'Calls to the Google Gemini API by status');
+const modelFallbacks = metrics.counter('model_fallbacks_total', 'Switches to a fallback model, by requested model, fallback and reason');
+const contextTrims = metrics.counter('context_trims_total', 'Conversations shortened to fit the context window, by model and strategy');
+const batchRequests = metrics.counter('batch_requests_total', 'Batch requests processed, by endpoint and result');
+metrics.gauge('batches_active', 'Batches waiting, running or finishing', () => [{ labels: {}, value: batchStore.active().length }]);
+metrics.gauge('queue_active_requests', 'Requests running against a model', () => [...modelQueues.entries()].map(([model, queue]) => ({ labels: { ollama_model: model }, value: queue.active })));
+metrics.gauge('queue_waiting_requests', 'Requests waiting in a model queue', () => [...modelQueues.entries()].map(([model, queue]) => ({ labels: { ollama_model: model }, value: queue.waiting.length })));
+
+app.use((req, res, next) => {
+    const startTime = Date.now();
+    httpInFlight.inc();
+    res.once('close', () => {
+        httpInFlight.dec();
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const model = res.locals.model || '';
+        httpRequests.inc({ route, model, status: res.writableFinished ? res.statusCode : 499 });
+        httpDuration.observe({ route, model }, (Date.now() - startTime) / 1000);
+        const usage = res.locals.usage;
+        if (usage && model && !res.locals.cacheHit) {
+            tokensTotal.inc({ model, type: 'prompt' }, usage.prompt_tokens || 0);
+            tokensTotal.inc({ model, type: 'completion' }, usage.completion_tokens || 0);
+        }
+    });
+    next();
+});
 
 app.use((req, res, next) => {
     const originalJson = res.json;
@@ -53,511 +186,4061 @@ app.use((req, res, next) => {
     next();
 });
 
-function mapModelName(openaiModel) {
-    const modelMap = {
-        'gpt-3.5-turbo': 'llama3.2:3b',
-        'gpt-3.5-turbo-instruct': 'llama3.2:3b',
-        'gpt-4': 'gemma3:4b',
-        'gpt-4-turbo': 'gemma3:4b',
-        'gpt-4o': 'gemma3:4b',
-        'gpt-4o-mini': 'llama3.2:1b',
-        'text-davinci-003': 'llama3.2:3b',
-        'text-davinci-002': 'llama3.2:1b',
-        'code-davinci-002': 'phi3:mini',
-        'llama3.2:1b': 'llama3.2:1b',
-        'llama3.2:3b': 'llama3.2:3b',
-        'gemma3:4b': 'gemma3:4b',
-        'phi3:mini': 'phi3:mini'
-    };
-    
-    return modelMap[openaiModel] || 'llama3.2:3b';
-}
+const PROVIDERS = ['ollama', 'google'];
+const RESERVED_MODEL_NAMES = ['admin', 'models', 'usage', 'conversations', 'templates', 'google-gemma', 'test-ollama', 'test-complex', 'ollama-status'];
+const GOOGLE_MODEL_PATTERN = /^(google\/.+|gemini-.+)$/;
+const GOOGLE_DEFAULT_MODEL = 'gemma-3n-e4b-it';
 
-function convertMessagesToPrompt(messages) {
-    if (!messages || !Array.isArray(messages)) {
-        return '';
+function loadModelRegistry(path) {
+    let config;
+    try {
+        config = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot load model registry from ${path}: ${error.message}`);
     }
-    
-    let prompt = '';
-    for (const message of messages) {
-        if (message.role === 'system') {
-            prompt += `System: ${message.content}\n\n`;
-        } else if (message.role === 'user') {
-            prompt += `Human: ${message.content}\n\n`;
-        } else if (message.role === 'assistant') {
-            prompt += `Assistant: ${message.content}\n\n`;
+
+    const defaultTimeout = config.default_timeout || 120000;
+    const models = new Map();
+    const lookup = new Map();
+
+    for (const [name, definition] of Object.entries(config.models || {})) {
+        if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+            throw new Error(`Model name "${name}" in ${path} must only contain letters, digits, ".", "_" and "-"`);
+        }
+        if (RESERVED_MODEL_NAMES.includes(name.toLowerCase())) {
+            throw new Error(`Model name "${name}" in ${path} is reserved for the built-in /api/${name.toLowerCase()} route, choose another name`);
+        }
+        const provider = definition?.provider || 'ollama';
+        if (!PROVIDERS.includes(provider)) {
+            throw new Error(`Model "${name}" in ${path} has an unknown provider "${provider}" (use one of: ${PROVIDERS.join(', ')})`);
+        }
+        if (typeof definition[provider] !== 'string') {
+            throw new Error(`Model "${name}" in ${path} is missing its "${provider}" model id`);
+        }
+        if (definition.context_strategy !== undefined && !CONTEXT_STRATEGIES.includes(definition.context_strategy)) {
+            throw new Error(`Model "${name}" in ${path} has an unknown context_strategy "${definition.context_strategy}" (use one of: ${CONTEXT_STRATEGIES.join(', ')})`);
+        }
+        if (definition.fallback !== undefined && (!Array.isArray(definition.fallback) || definition.fallback.some(id => typeof id !== 'string'))) {
+            throw new Error(`Model "${name}" in ${path} must list its fallback models as an array of model names`);
         }
-    }
-    
-    prompt += 'Assistant: ';
-    return prompt;
-}
 
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Hello, welcome to Mileva API',
-        description: 'A REST API server for testing and accessing ANY installed Ollama model via HTTP endpoints',
-        purpose: 'Designed for testing and experimentation with Ollama models',
-        model_support: 'Works with ANY ollama model - just add an endpoint for it!',
-        version: '1.0.0',
-        openai_compatibility: 'Now supports OpenAI-compatible endpoints for easy drop-in replacement',
-        google_gemma: 'Direct access to Google Gemma model',
-        endpoints: {
-            public: {
-                'GET /': 'This documentation page',
-                'GET /health': 'Health check endpoint'
-            },
-            mileva_native: {
-                'POST /api/llama32-1b': 'Generate text using Llama 3.2 1B model',
-                'POST /api/llama32-3b': 'Generate text using Llama 3.2 3B model',
-                'POST /api/gemma3-4b': 'Generate text using Gemma 3 4B model',
-                'POST /api/phi3-mini': 'Generate text using Phi-3 Mini model',
-                'GET /api/test-ollama': 'Test ollama functionality',
-                'GET /api/ollama-status': 'Check ollama service status'
-            },
-            openai_compatible: {
-                'POST /v1/chat/completions': 'OpenAI-compatible chat completions',
-                'POST /v1/completions': 'OpenAI-compatible text completions',
-                'GET /v1/models': 'List available models (OpenAI format)'
-            },
-            google_gemma: {
-                'POST /api/google-gemma': 'Google Gemma model (cloud-based)'
-            },
-            note: 'Additional endpoints can be easily added for ANY installed ollama model'
-        },
-        usage: {
-            authentication: 'Include x-api-key header for protected endpoints',
-            request_format: {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': 'your-api-key'
-                },
-                body: {
-                    input: 'Your prompt text here'
-                }
-            },
-            response_format: {
-                result: 'Generated text response'
-            },
-            openai_usage: {
-                chat_completions: 'Use /v1/chat/completions with messages array',
-                completions: 'Use /v1/completions with prompt string',
-                drop_in_replacement: 'Change base URL to use local models instead of OpenAI'
-            },
-            google_gemma_usage: {
-                simple: 'Use /api/google-gemma with input field',
-                requirement: 'Requires GEMINI_API_KEY environment variable'
+        const entry = {
+            name,
+            provider,
+            ollama: provider === 'ollama' ? definition.ollama : null,
+            google: provider === 'google' ? definition.google : null,
+            description: definition.description || definition[provider],
+            aliases: definition.aliases || [],
+            timeout: definition.timeout || defaultTimeout,
+            options: definition.options || {},
+            tools: definition.tools,
+            vision: definition.vision,
+            contextStrategy: definition.context_strategy || CONTEXT_STRATEGY,
+            type: definition.type || 'chat',
+            rpm: definition.rpm || 0,
+            tpd: definition.tpd || 0,
+            maxConcurrency: definition.max_concurrency || MODEL_MAX_CONCURRENCY,
+            maxQueue: definition.max_queue ?? MODEL_MAX_QUEUE,
+            queueTimeout: definition.queue_timeout || QUEUE_TIMEOUT_MS,
+            fallback: (definition.fallback || []).filter(id => id !== name)
+        };
+        models.set(name, entry);
+
+        for (const id of [name, ...(entry.ollama ? [entry.ollama] : []), ...entry.aliases]) {
+            if (lookup.has(id) && lookup.get(id) !== entry) {
+                log.warn(`Model id "${id}" is declared by both "${lookup.get(id).name}" and "${name}", using "${name}"`, { path });
             }
-        },
-        examples: {
-            'curl_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"input":"Hello"}\' http://your-server.com/api/llama32-1b',
-            'openai_chat_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"model":"gpt-3.5-turbo","messages":[{"role":"user","content":"Hello"}]}\' http://your-server.com/v1/chat/completions',
-            'openai_completion_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"model":"text-davinci-003","prompt":"Hello"}\' http://your-server.com/v1/completions',
-            'google_gemma_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"contents":[{"role":"user","parts":[{"text":"Hello"}]}]}\' http://your-server.com/api/google-gemma'
-        },
-        browser_usage: {
-            note: 'When accessing via browser, responses are formatted for readability',
-            force_json: 'Add ?format=json to any URL to get raw JSON response',
-            example: 'http://your-server.com/?format=json'
-        },
-        how_to_add_models: {
-            description: 'To add support for any other ollama model, simply create a new endpoint',
-            example_code: 'app.post("/api/modelname", async (req, res) => { const result = await callOllamaAPI("model:tag", req.body.input, timeout); res.json({ result }); });',
-            note: 'Replace "modelname" with your desired endpoint and "model:tag" with actual ollama model name'
+            lookup.set(id, entry);
+        }
+    }
+
+    const backends = Object.entries(config.backends || {}).map(([name, definition]) => {
+        if (typeof definition?.url !== 'string') {
+            throw new Error(`Backend "${name}" in ${path} is missing its "url"`);
+        }
+        if (definition.models !== undefined && !Array.isArray(definition.models)) {
+            throw new Error(`Backend "${name}" in ${path} must list its models as an array of Ollama tags`);
         }
+        return { name, url: definition.url, models: definition.models };
     });
-});
 
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+    log.info('Loaded model registry', { path, models: models.size, backends: backends.length });
+    return { models, lookup, defaultTimeout, backends };
+}
 
-app.use('/api', (req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path} - IP: ${req.ip}`);
-    const key = req.headers['x-api-key'];
-    if (key !== API_KEY) {
-        console.log('Invalid API key provided');
-        return res.status(403).json({ error: 'Forbidden - Invalid API Key' });
+const modelRegistry = loadModelRegistry(MODELS_CONFIG);
+
+const ollamaBackends = createBackendPool(
+    modelRegistry.backends.length > 0 ? modelRegistry.backends : parseBackendUrls(OLLAMA_API_URL),
+    { routing: OLLAMA_ROUTING, log, onChange: refreshQueueCapacity }
+);
+ollamaBackends.probe();
+setInterval(() => ollamaBackends.probe(), OLLAMA_HEALTH_INTERVAL_MS).unref();
+
+function createGoogleEntry(id) {
+    const google = id.replace(/^google\//, '');
+    return {
+        name: id,
+        provider: 'google',
+        ollama: null,
+        google,
+        description: `Google ${google}`,
+        aliases: [],
+        timeout: modelRegistry.defaultTimeout,
+        options: {},
+        tools: false,
+        vision: true,
+        contextStrategy: CONTEXT_STRATEGY,
+        type: 'chat',
+        rpm: 0,
+        tpd: 0,
+        maxConcurrency: MODEL_MAX_CONCURRENCY,
+        maxQueue: MODEL_MAX_QUEUE,
+        queueTimeout: QUEUE_TIMEOUT_MS,
+        fallback: []
+    };
+}
+
+function getUpstreamModel(modelEntry) {
+    return modelEntry.provider === 'google' ? modelEntry.google : modelEntry.ollama;
+}
+
+function describeUpstream(modelEntry) {
+    return modelEntry.provider === 'google'
+        ? { provider: 'google', google_model: modelEntry.google }
+        : { provider: 'ollama', ollama_model: modelEntry.ollama };
+}
+
+function requireModelType(modelEntry, type) {
+    if (modelEntry.type !== type) {
+        throw invalidParameter('model', `The model '${modelEntry.name}' has type "${modelEntry.type}" and cannot be used here`);
     }
-    next();
-});
+    return modelEntry;
+}
 
-app.use('/v1', (req, res, next) => {
-    console.log(`${new Date().toISOString()} - OpenAI Compatible ${req.method} ${req.path} - IP: ${req.ip}`);
-    const key = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-    if (key !== API_KEY) {
-        console.log('Invalid API key provided for OpenAI endpoint');
-        return res.status(401).json({ 
-            error: {
-                message: 'Invalid API key provided',
-                type: 'invalid_request_error',
-                code: 'invalid_api_key'
-            }
-        });
+async function resolveModel(id) {
+    const entry = modelRegistry.lookup.get(id);
+    if (entry) {
+        return entry;
     }
-    next();
-});
 
-app.get('/v1/models', (req, res) => {
-    const models = [
-        {
-            id: 'gpt-3.5-turbo',
-            object: 'model',
-            created: 1686935002,
-            owned_by: 'mileva-local',
-            permission: [],
-            root: 'gpt-3.5-turbo',
-            parent: null,
-            description: 'Powered by Llama 3.2 3B locally'
-        },
-        {
-            id: 'gpt-4',
-            object: 'model',
-            created: 1686935002,
-            owned_by: 'mileva-local',
-            permission: [],
-            root: 'gpt-4',
-            parent: null,
-            description: 'Powered by Gemma 3 4B locally'
-        },
-        {
-            id: 'gpt-4o-mini',
-            object: 'model',
-            created: 1686935002,
-            owned_by: 'mileva-local',
-            permission: [],
-            root: 'gpt-4o-mini',
-            parent: null,
-            description: 'Powered by Llama 3.2 1B locally'
-        },
-        {
-            id: 'text-davinci-003',
-            object: 'model',
-            created: 1686935002,
-            owned_by: 'mileva-local',
-            permission: [],
-            root: 'text-davinci-003',
-            parent: null,
-            description: 'Powered by Llama 3.2 3B locally'
+    if (GOOGLE_MODEL_PATTERN.test(id)) {
+        return createGoogleEntry(id);
+    }
+
+    const installed = await fetchInstalledModels();
+    const model = installed.find(candidate => candidate.name === id || candidate.name === normalizeOllamaTag(id));
+    if (model) {
+        return {
+            name: model.name,
+            provider: 'ollama',
+            ollama: model.name,
+            google: null,
+            description: model.name,
+            aliases: [],
+            timeout: modelRegistry.defaultTimeout,
+            options: {},
+            contextStrategy: CONTEXT_STRATEGY,
+            type: 'chat',
+            rpm: 0,
+            tpd: 0,
+            maxConcurrency: MODEL_MAX_CONCURRENCY,
+            maxQueue: MODEL_MAX_QUEUE,
+            queueTimeout: QUEUE_TIMEOUT_MS,
+            fallback: []
+        };
+    }
+
+    const error = new Error(`The model '${id}' does not exist`);
+    error.code = 'model_not_found';
+    throw error;
+}
+
+function getMessageText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part && part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return content == null ? '' : String(content);
+}
+
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/jpeg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { mimeType: 'image/gif', matches: bytes => /^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6)) },
+    { mimeType: 'image/webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+function decodeImage(bytes, param) {
+    if (bytes.length === 0) {
+        throw invalidParameter(param, 'The image is empty');
+    }
+    if (bytes.length > IMAGE_MAX_BYTES) {
+        throw invalidParameter(param, `Images can be at most ${IMAGE_MAX_BYTES} bytes, got ${bytes.length}`);
+    }
+    const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+    if (!signature) {
+        throw invalidParameter(param, 'Images must be PNG, JPEG, GIF or WebP');
+    }
+    return { type: 'image', mime_type: signature.mimeType, data: bytes.toString('base64') };
+}
+
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function lookupPublicAddress(hostname, options, callback) {
+    dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
         }
-    ];
-    
-    res.json({
-        object: 'list',
-        data: models
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
     });
-});
+}
+
+function requestImage(url, signal) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        client.get(url, { lookup: lookupPublicAddress, signal }, resolve).on('error', reject);
+    });
+}
+
+function describeImageError(error) {
+    return error.name === 'AbortError' ? `no answer within ${IMAGE_FETCH_TIMEOUT_MS}ms` : error.message;
+}
+
+async function fetchImage(source, param) {
+    if (!IMAGE_URL_FETCH) {
+        throw invalidParameter(param, 'Image URLs are not enabled on this server, send the image as a base64 data URL instead');
+    }
+    log.debug('Downloading image', { url: source });
 
-app.post('/v1/chat/completions', async (req, res) => {
+    const signal = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS);
+    let url;
     try {
-        const { model, messages, temperature = 0.7, max_tokens, stream = false } = req.body;
-        
-        if (!model || !messages) {
-            return res.status(400).json({
-                error: {
-                    message: 'Missing required parameters: model and messages',
-                    type: 'invalid_request_error',
-                    code: 'missing_required_parameter'
-                }
-            });
+        url = new URL(source);
+    } catch {
+        throw invalidParameter(param, 'Could not download the image: the URL is not valid');
+    }
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw invalidParameter(param, 'Could not download the image: it redirects to a URL that is not http(s)');
         }
-
-        if (stream) {
-            return res.status(400).json({
-                error: {
-                    message: 'Streaming is not supported yet',
-                    type: 'invalid_request_error',
-                    code: 'unsupported_parameter'
-                }
-            });
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (isIP(host) && isPrivateAddress(host)) {
+            throw invalidParameter(param, `Could not download the image: ${host} is a private address`);
+        }
+        try {
+            response = await requestImage(url, signal);
+        } catch (error) {
+            throw invalidParameter(param, `Could not download the image: ${describeImageError(error)}`);
+        }
+        if (response.statusCode < 300 || response.statusCode >= 400 || !response.headers.location) {
+            break;
+        }
+        response.resume();
+        if (redirects >= MAX_IMAGE_REDIRECTS) {
+            throw invalidParameter(param, `Could not download the image: more than ${MAX_IMAGE_REDIRECTS} redirects`);
         }
+        url = new URL(response.headers.location, url);
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw invalidParameter(param, `Could not download the image (${response.statusCode})`);
+    }
+    if (Number(response.headers['content-length']) > IMAGE_MAX_BYTES) {
+        response.destroy();
+        throw invalidParameter(param, `Images can be at most ${IMAGE_MAX_BYTES} bytes, got ${response.headers['content-length']}`);
+    }
 
-        const ollamaModel = mapModelName(model);
-        const prompt = convertMessagesToPrompt(messages);
-        
-        console.log(`Processing OpenAI chat completion for model: ${model} (${ollamaModel})`);
-        console.log(`Messages converted to prompt: ${prompt.substring(0, 100)}...`);
-        
-        const startTime = Date.now();
-        const result = await callOllamaAPI(ollamaModel, prompt, 180000);
-        const endTime = Date.now();
-        
-        const response = {
-            id: `chatcmpl-${Date.now()}`,
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model: model,
-            choices: [
-                {
-                    index: 0,
-                    message: {
-                        role: 'assistant',
-                        content: result
-                    },
-                    finish_reason: 'stop'
-                }
-            ],
-            usage: {
-                prompt_tokens: Math.ceil(prompt.length / 4),
-                completion_tokens: Math.ceil(result.length / 4),
-                total_tokens: Math.ceil((prompt.length + result.length) / 4)
-            },
-            system_fingerprint: `mileva-${ollamaModel}`,
-            local_info: {
-                ollama_model: ollamaModel,
-                processing_time_ms: endTime - startTime,
-                server: 'mileva-local'
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of response) {
+            size += chunk.length;
+            if (size > IMAGE_MAX_BYTES) {
+                response.destroy();
+                throw invalidParameter(param, `Images can be at most ${IMAGE_MAX_BYTES} bytes`);
             }
-        };
-        
-        console.log('OpenAI chat completion successful');
-        res.json(response);
-        
+            chunks.push(chunk);
+        }
     } catch (error) {
-        console.error('OpenAI chat completion error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({
-                error: {
-                    message: 'Request timed out - model took too long to respond',
-                    type: 'timeout_error',
-                    code: 'timeout'
-                }
-            });
+        throw error.param ? error : invalidParameter(param, `Could not download the image: ${describeImageError(error)}`);
+    }
+    return decodeImage(Buffer.concat(chunks), param);
+}
+
+async function loadImage(source, param) {
+    if (typeof source !== 'string' || !source) {
+        throw invalidParameter(param, 'Images must be given as a base64 data URL or an http(s) URL');
+    }
+    const dataUrl = source.match(/^data:([^,]*?)(;base64)?,/);
+    if (dataUrl) {
+        if (!dataUrl[2]) {
+            throw invalidParameter(param, 'Image data URLs must be base64 encoded');
         }
-        
-        return res.status(500).json({
-            error: {
-                message: error.message,
-                type: 'internal_error',
-                code: 'model_error'
-            }
-        });
+        return decodeImage(Buffer.from(source.slice(dataUrl[0].length), 'base64'), param);
     }
-});
+    if (/^https?:\/\//i.test(source)) {
+        return fetchImage(source, param);
+    }
+    if (/^[A-Za-z0-9+/\s]+={0,2}$/.test(source)) {
+        return decodeImage(Buffer.from(source, 'base64'), param);
+    }
+    throw invalidParameter(param, 'Images must be base64 data URLs or http(s) URLs, local files cannot be read');
+}
 
-app.post('/v1/completions', async (req, res) => {
-    try {
-        const { model, prompt, temperature = 0.7, max_tokens, stream = false } = req.body;
-        
-        if (!model || !prompt) {
-            return res.status(400).json({
-                error: {
-                    message: 'Missing required parameters: model and prompt',
-                    type: 'invalid_request_error',
-                    code: 'missing_required_parameter'
-                }
-            });
+function countMessageImages(messages) {
+    const count = messages.reduce((total, message) => total + (Array.isArray(message?.content) ? message.content.filter(part => part?.type === 'image_url').length : 0), 0);
+    if (count > MAX_IMAGES_PER_REQUEST) {
+        throw invalidParameter('messages', `A request can contain at most ${MAX_IMAGES_PER_REQUEST} images, got ${count}`);
+    }
+    messages.forEach((message, index) => {
+        if (message?.role !== 'user' && Array.isArray(message?.content) && message.content.some(part => part?.type === 'image_url')) {
+            throw invalidParameter(`messages[${index}].content`, 'Images are only supported in user messages');
         }
+    });
+    return count;
+}
 
-        if (stream) {
+async function resolveMessageImages(messages) {
+    if (countMessageImages(messages) === 0) {
+        return messages;
+    }
+
+    return Promise.all(messages.map(async (message, index) => {
+        if (!Array.isArray(message?.content) || !message.content.some(part => part?.type === 'image_url')) {
+            return message;
+        }
+        const content = await Promise.all(message.content.map((part, partIndex) => {
+            if (part?.type !== 'image_url') {
+                return part;
+            }
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            return loadImage(url, `messages[${index}].content[${partIndex}].image_url`);
+        }));
+        return { ...message, content };
+    }));
+}
+
+function countNativeImages(images) {
+    if (images === undefined || images === null) {
+        return 0;
+    }
+    if (!Array.isArray(images)) {
+        throw invalidParameter('images', 'images must be an array of base64 images, data URLs or http(s) URLs');
+    }
+    if (images.length > MAX_IMAGES_PER_REQUEST) {
+        throw invalidParameter('images', `A request can contain at most ${MAX_IMAGES_PER_REQUEST} images, got ${images.length}`);
+    }
+    return images.length;
+}
+
+async function loadNativeImages(images) {
+    if (countNativeImages(images) === 0) {
+        return [];
+    }
+    return Promise.all(images.map((image, index) => loadImage(image, `images[${index}]`)));
+}
+
+function getMessageImages(content) {
+    return Array.isArray(content) ? content.filter(part => part?.type === 'image') : [];
+}
+
+function hasImages(messages) {
+    return messages.some(message => getMessageImages(message.content).length > 0);
+}
+
+function hashImages(images) {
+    return images.map(image => createHash('sha256').update(image.data).digest('hex'));
+}
+
+function parseToolArguments(args) {
+    if (typeof args !== 'string') {
+        return args || {};
+    }
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        return {};
+    }
+}
+
+function convertMessagesForOllama(messages, { nativeTools = true } = {}) {
+    if (!messages || !Array.isArray(messages)) {
+        return [];
+    }
+    
+    const chatMessages = [];
+    const toolNames = new Map();
+    for (const message of messages) {
+        if (message.role === 'system' || message.role === 'developer') {
+            chatMessages.push({ role: 'system', content: getMessageText(message.content) });
+        } else if (message.role === 'user') {
+            const images = getMessageImages(message.content).map(image => image.data);
+            chatMessages.push({ role: 'user', content: getMessageText(message.content), ...(images.length ? { images } : {}) });
+        } else if (message.role === 'assistant') {
+            const toolCalls = (message.tool_calls || []).filter(call => call?.function?.name);
+            toolCalls.forEach(call => toolNames.set(call.id, call.function.name));
+
+            if (toolCalls.length === 0) {
+                chatMessages.push({ role: 'assistant', content: getMessageText(message.content) });
+            } else if (nativeTools) {
+                chatMessages.push({
+                    role: 'assistant',
+                    content: getMessageText(message.content),
+                    tool_calls: toolCalls.map(call => ({
+                        function: {
+                            name: call.function.name,
+                            arguments: parseToolArguments(call.function.arguments)
+                        }
+                    }))
+                });
+            } else {
+                chatMessages.push({
+                    role: 'assistant',
+                    content: JSON.stringify({
+                        tool_calls: toolCalls.map(call => ({
+                            name: call.function.name,
+                            arguments: parseToolArguments(call.function.arguments)
+                        }))
+                    })
+                });
+            }
+        } else if (message.role === 'tool' || message.role === 'function') {
+            const name = message.name || toolNames.get(message.tool_call_id) || 'tool';
+            const content = getMessageText(message.content);
+            if (nativeTools) {
+                chatMessages.push({ role: 'tool', content, tool_name: name });
+            } else {
+                chatMessages.push({ role: 'user', content: `Result of tool "${name}":\n${content}` });
+            }
+        }
+    }
+    
+    return chatMessages;
+}
+
+function addSystemInstruction(chatMessages, instruction) {
+    if (chatMessages[0]?.role === 'system') {
+        return [{ ...chatMessages[0], content: `${getMessageText(chatMessages[0].content)}\n\n${instruction}` }, ...chatMessages.slice(1)];
+    }
+    return [{ role: 'system', content: instruction }, ...chatMessages];
+}
+
+function validateTools(tools, toolChoice) {
+    if (tools === undefined || tools === null) {
+        return [];
+    }
+    if (!Array.isArray(tools)) {
+        throw invalidParameter('tools', 'tools must be an array');
+    }
+    tools.forEach((tool, index) => {
+        if (tool?.type !== 'function' || typeof tool.function?.name !== 'string' || !tool.function.name) {
+            throw invalidParameter(`tools[${index}]`, 'Each tool must look like {"type": "function", "function": {"name": "..."}}');
+        }
+    });
+
+    if (toolChoice === undefined || toolChoice === null) {
+        return tools;
+    }
+    if (typeof toolChoice === 'string') {
+        if (!['none', 'auto', 'required'].includes(toolChoice)) {
+            throw invalidParameter('tool_choice', 'tool_choice must be "none", "auto", "required" or a function object');
+        }
+    } else if (!tools.some(tool => tool.function.name === toolChoice?.function?.name)) {
+        throw invalidParameter('tool_choice', `tool_choice names a function that is not in tools: ${toolChoice?.function?.name}`);
+    }
+    return tools;
+}
+
+function getToolChoiceInstruction(toolChoice) {
+    if (toolChoice === 'required') {
+        return 'You must call at least one of the available tools to answer.';
+    }
+    if (toolChoice?.function?.name) {
+        return `You must call the tool "${toolChoice.function.name}" to answer.`;
+    }
+    return null;
+}
+
+function buildToolPrompt(tools, toolChoice) {
+    const definitions = tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description || '',
+        parameters: tool.function.parameters || { type: 'object', properties: {} }
+    }));
+
+    return [
+        'You have access to the following tools:',
+        JSON.stringify(definitions, null, 2),
+        'To call one or more tools, reply with ONLY a JSON object in exactly this format and nothing else:',
+        '{"tool_calls": [{"name": "<tool name>", "arguments": {<arguments matching the tool parameters>}}]}',
+        getToolChoiceInstruction(toolChoice) || 'If no tool is needed, answer the user directly in plain text.',
+        'When a message starts with "Result of tool", use that result to answer the user.'
+    ].join('\n\n');
+}
+
+function createToolCall(name, args) {
+    return {
+        id: `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`,
+        type: 'function',
+        function: {
+            name,
+            arguments: typeof args === 'string' ? args : JSON.stringify(args || {})
+        }
+    };
+}
+
+function parseToolCallsFromText(text, tools) {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return [];
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(cleaned.slice(start, end + 1));
+    } catch (error) {
+        return [];
+    }
+
+    const names = new Set(tools.map(tool => tool.function.name));
+    const calls = Array.isArray(parsed.tool_calls) ? parsed.tool_calls : (parsed.name ? [parsed] : []);
+    return calls
+        .filter(call => names.has(call?.name))
+        .map(call => createToolCall(call.name, call.arguments ?? call.parameters ?? {}));
+}
+
+const DEFAULT_OLLAMA_OPTIONS = {
+    temperature: 0.7,
+    top_p: 0.9,
+    num_ctx: 4096
+};
+
+const MAX_CHOICES = 4;
+
+const OPENAI_PARAMETERS = {
+    temperature: { option: 'temperature', min: 0, max: 2 },
+    top_p: { option: 'top_p', min: 0, max: 1 },
+    max_tokens: { option: 'num_predict', min: 1, integer: true },
+    max_completion_tokens: { option: 'num_predict', min: 1, integer: true },
+    seed: { option: 'seed', integer: true },
+    presence_penalty: { option: 'presence_penalty', min: -2, max: 2 },
+    frequency_penalty: { option: 'frequency_penalty', min: -2, max: 2 }
+};
+
+const ANTHROPIC_PARAMETERS = {
+    temperature: { option: 'temperature', min: 0, max: 1 },
+    top_p: { option: 'top_p', min: 0, max: 1 },
+    top_k: { option: 'top_k', min: 1, integer: true },
+    max_tokens: { option: 'num_predict', min: 1, integer: true }
+};
+
+const NATIVE_PARAMETERS = {
+    temperature: { option: 'temperature', min: 0, max: 2 },
+    top_p: { option: 'top_p', min: 0, max: 1 },
+    top_k: { option: 'top_k', min: 1, integer: true },
+    num_predict: { option: 'num_predict', min: -2, integer: true },
+    num_ctx: { option: 'num_ctx', min: 256, max: 131072, integer: true },
+    repeat_penalty: { option: 'repeat_penalty', min: 0, max: 2 },
+    seed: { option: 'seed', integer: true }
+};
+
+function invalidParameter(param, message) {
+    const error = new Error(message);
+    error.param = param;
+    return error;
+}
+
+function buildOllamaOptions(body, parameters, maxStop = 16) {
+    const options = {};
+
+    for (const [param, rule] of Object.entries(parameters)) {
+        const value = body[param];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw invalidParameter(param, `${param} must be a number`);
+        }
+        if (rule.integer && !Number.isInteger(value)) {
+            throw invalidParameter(param, `${param} must be an integer`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            throw invalidParameter(param, `${param} must be >= ${rule.min}, got ${value}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            throw invalidParameter(param, `${param} must be <= ${rule.max}, got ${value}`);
+        }
+        options[rule.option] = value;
+    }
+
+    if (body.stop !== undefined && body.stop !== null) {
+        const stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+        if (stop.some(sequence => typeof sequence !== 'string' || sequence.length === 0)) {
+            throw invalidParameter('stop', 'stop must be a non-empty string or an array of non-empty strings');
+        }
+        if (stop.length > maxStop) {
+            throw invalidParameter('stop', `stop accepts at most ${maxStop} sequences`);
+        }
+        if (stop.length > 0) {
+            options.stop = stop;
+        }
+    }
+
+    return options;
+}
+
+function parseChoiceCount(n) {
+    if (n === undefined || n === null) {
+        return 1;
+    }
+    if (!Number.isInteger(n) || n < 1 || n > MAX_CHOICES) {
+        throw invalidParameter('n', `n must be an integer between 1 and ${MAX_CHOICES}`);
+    }
+    return n;
+}
+
+function estimateUsage(promptLength, completionLength) {
+    return {
+        prompt_tokens: Math.ceil(promptLength / 4),
+        completion_tokens: Math.ceil(completionLength / 4),
+        total_tokens: Math.ceil((promptLength + completionLength) / 4)
+    };
+}
+
+function getCompletionLength(result) {
+    return result.text.length + (result.tool_calls?.length ? JSON.stringify(result.tool_calls).length : 0);
+}
+
+function buildUsage(results, promptLength) {
+    const estimate = estimateUsage(promptLength, 0).prompt_tokens;
+    const promptTokens = Math.max(...results.map(result => result.usage?.prompt_tokens ?? estimate));
+    const completionTokens = results.reduce((total, result) => total + (result.usage?.completion_tokens ?? Math.ceil(getCompletionLength(result) / 4)), 0);
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+function buildTimings(results) {
+    const timings = results.map(result => result.usage?.timings).filter(Boolean);
+    if (timings.length === 0) {
+        return null;
+    }
+    const sum = (field) => timings.reduce((total, timing) => total + timing[field], 0);
+    const completionTokens = results.reduce((total, result) => total + (result.usage?.completion_tokens || 0), 0);
+    const promptTokens = results.reduce((total, result) => total + (result.usage?.prompt_tokens || 0), 0);
+    const evalMs = sum('eval_ms');
+    const promptEvalMs = sum('prompt_eval_ms');
+    return {
+        total_ms: sum('total_ms'),
+        load_ms: sum('load_ms'),
+        prompt_eval_ms: promptEvalMs,
+        eval_ms: evalMs,
+        prompt_tokens_per_second: promptTokens && promptEvalMs ? Math.round(promptTokens / (promptEvalMs / 1000) * 100) / 100 : null,
+        tokens_per_second: completionTokens && evalMs ? Math.round(completionTokens / (evalMs / 1000) * 100) / 100 : null
+    };
+}
+
+function noteContextTrim(res, context) {
+    res.locals.context = context;
+    if (!res.headersSent) {
+        res.setHeader('x-mileva-context-trimmed', context.dropped_messages + context.summarized_messages);
+    }
+}
+
+function startSSE(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+}
+
+function sendSSE(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function endSSE(res) {
+    res.write('data: [DONE]\n\n');
+    res.end();
+}
+
+function sendSSEError(res, error) {
+    if (res.destroyed || res.writableEnded) {
+        return;
+    }
+    const timedOut = error.message.includes('timeout');
+    sendSSE(res, {
+        error: {
+            message: timedOut ? 'Request timed out - model took too long to respond' : error.message,
+            type: timedOut ? 'timeout_error' : 'internal_error',
+            code: timedOut ? 'timeout' : 'model_error',
+            request_id: res.req.id
+        }
+    });
+    endSSE(res);
+}
+
+function sendOpenAIError(res, error) {
+    if (res.headersSent) {
+        return sendSSEError(res, error);
+    }
+
+    if (error.param) {
+        return res.status(400).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                param: error.param,
+                code: 'invalid_value'
+            }
+        });
+    }
+
+    if (error.code === 'rate_limit_exceeded') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(429).json({
+            error: {
+                message: error.message,
+                type: error.limitType,
+                param: null,
+                code: 'rate_limit_exceeded'
+            }
+        });
+    }
+
+    if (error.code === 'queue_full' || error.code === 'queue_timeout') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(503).json({
+            error: {
+                message: error.message,
+                type: 'overloaded_error',
+                param: null,
+                code: error.code
+            }
+        });
+    }
+
+    if (error.code === 'model_not_allowed') {
+        return res.status(403).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                param: 'model',
+                code: 'model_not_allowed'
+            }
+        });
+    }
+
+    if (error.code === 'model_not_found') {
+        return res.status(404).json({
+            error: {
+                message: error.message,
+                type: 'invalid_request_error',
+                param: 'model',
+                code: 'model_not_found'
+            }
+        });
+    }
+
+    if (error.code === 'ollama_unavailable') {
+        return res.status(503).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                param: null,
+                code: 'ollama_unavailable'
+            }
+        });
+    }
+
+    if (error.code === 'invalid_json_output') {
+        return res.status(422).json({
+            error: {
+                message: error.message,
+                type: 'invalid_response_error',
+                param: 'response_format',
+                code: 'invalid_json_output',
+                validation_errors: error.validationErrors
+            }
+        });
+    }
+    
+    if (error.message.includes('timeout')) {
+        return res.status(408).json({
+            error: {
+                message: 'Request timed out - model took too long to respond',
+                type: 'timeout_error',
+                code: 'timeout'
+            }
+        });
+    }
+    
+    return res.status(500).json({
+        error: {
+            message: error.message,
+            type: 'internal_error',
+            code: 'model_error'
+        }
+    });
+}
+
+function sendNativeError(res, error) {
+    if (error.param) {
+        return res.status(400).json({ error: error.message, param: error.param });
+    }
+
+    if (error.code === 'rate_limit_exceeded') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(429).json({ error: error.message, code: 'rate_limit_exceeded' });
+    }
+
+    if (error.code === 'queue_full' || error.code === 'queue_timeout') {
+        res.setHeader('Retry-After', error.retryAfter);
+        return res.status(503).json({ error: error.message, code: error.code });
+    }
+
+    if (error.code === 'model_not_allowed') {
+        return res.status(403).json({ error: error.message, code: 'model_not_allowed' });
+    }
+
+    if (error.code === 'model_not_found') {
+        return res.status(404).json({ error: error.message, code: 'model_not_found' });
+    }
+
+    if (error.code === 'ollama_unavailable') {
+        return res.status(503).json({ error: error.message, code: 'ollama_unavailable' });
+    }
+
+    if (error.code === 'invalid_json_output') {
+        return res.status(422).json({ error: error.message, code: 'invalid_json_output', validation_errors: error.validationErrors });
+    }
+
+    if (error.message.includes('timeout')) {
+        return res.status(408).json({ error: error.message });
+    }
+    
+    return res.status(500).json({ error: error.message });
+}
+
+function abortOnClose(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+app.get('/', (req, res) => {
+    res.json({
+        message: 'Hello, welcome to Mileva API',
+        description: 'A REST API server for testing and accessing ANY installed Ollama model via HTTP endpoints',
+        purpose: 'Designed for testing and experimentation with Ollama models',
+        model_support: 'Works with ANY ollama model - just add it to the model registry!',
+        version: '1.0.0',
+        openai_compatibility: 'Now supports OpenAI-compatible endpoints for easy drop-in replacement',
+        google_gemma: 'Direct access to Google Gemma model',
+        endpoints: {
+            public: {
+                'GET /': 'This documentation page',
+                'GET /health': 'Health check endpoint',
+                'GET /metrics': 'Prometheus metrics (needs Authorization: Bearer <METRICS_TOKEN> when METRICS_TOKEN is set)'
+            },
+            mileva_native: {
+                'GET /api/models': 'List models from the model registry',
+                'POST /api/models/:name/generate': 'Generate text using any model from the registry',
+                ...Object.fromEntries([...modelRegistry.models.values()].filter(entry => entry.type === 'chat').map(entry => [
+                    `POST /api/${entry.name}`,
+                    `Generate text using ${entry.description} model`
+                ])),
+                'POST /api/conversations': 'Start a conversation with a model and optional system prompt (history is kept on the server)',
+                'GET /api/conversations': 'List the conversations of your API key',
+                'GET /api/conversations/:id': 'Get a conversation with its messages',
+                'POST /api/conversations/:id/messages': 'Send the next message of a conversation and get the answer',
+                'DELETE /api/conversations/:id': 'Delete a conversation',
+                'GET /api/templates': 'List the prompt templates',
+                'GET /api/templates/:name': 'Get a prompt template and its variables (?version=n for an older version)',
+                'POST /api/templates/:name/run': 'Fill in a prompt template with "variables" and run it on its model',
+                'GET /api/test-ollama': 'Test ollama functionality',
+                'GET /api/ollama-status': 'Check the health of every ollama backend and the request queues',
+                'GET /api/usage': 'Usage report per key and model (?key, ?model, ?from, ?to, ?group_by=day|none, ?format=csv)'
+            },
+            openai_compatible: {
+                'POST /v1/chat/completions': 'OpenAI-compatible chat completions',
+                'POST /v1/completions': 'OpenAI-compatible text completions',
+                'GET /v1/models': 'List installed models and their aliases (OpenAI format)',
+                'GET /v1/models/:id': 'Get a single model (OpenAI format)',
+                'POST /v1/embeddings': 'OpenAI-compatible embeddings',
+                'POST /v1/files': 'Upload a JSONL batch input file (multipart/form-data with purpose=batch)',
+                'GET /v1/files': 'List your files',
+                'GET /v1/files/:id': 'Get a file',
+                'GET /v1/files/:id/content': 'Download a file, such as batch results',
+                'DELETE /v1/files/:id': 'Delete a file',
+                'POST /v1/batches': 'Run every request of an input file in the background',
+                'GET /v1/batches': 'List your batches',
+                'GET /v1/batches/:id': 'Get the status and progress of a batch',
+                'POST /v1/batches/:id/cancel': 'Cancel a batch'
+            },
+            anthropic_compatible: {
+                'POST /v1/messages': 'Anthropic Messages API (x-api-key and anthropic-version headers, streaming and tools)'
+            },
+            google_gemma: {
+                'POST /api/google-gemma': 'Google Gemma model (cloud-based)'
+            },
+            admin: {
+                'GET /api/admin/keys': 'List API keys (admin scope)',
+                'POST /api/admin/keys': 'Create an API key (admin scope)',
+                'DELETE /api/admin/keys/:id': 'Revoke an API key (admin scope)',
+                'GET /api/admin/cache': 'Response cache statistics (admin scope)',
+                'DELETE /api/admin/cache': 'Purge the response cache, optionally ?model=name (admin scope)',
+                'GET /api/admin/templates': 'List prompt templates with all their versions (admin scope)',
+                'POST /api/admin/templates': 'Create a prompt template (admin scope)',
+                'PUT /api/admin/templates/:name': 'Change a prompt template, saved as a new version (admin scope)',
+                'DELETE /api/admin/templates/:name': 'Delete a prompt template (admin scope)'
+            },
+            note: `Models are configured in ${MODELS_CONFIG} - add an entry there for ANY installed ollama model`
+        },
+        usage: {
+            authentication: 'Include x-api-key header for protected endpoints (each key has scopes: native, openai, google, admin)',
+            request_format: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': 'your-api-key'
+                },
+                body: {
+                    input: 'Your prompt text here'
+                },
+                optional_parameters: 'temperature, top_p, top_k, num_predict, num_ctx, repeat_penalty, seed, stop'
+            },
+            response_format: {
+                result: 'Generated text response'
+            },
+            google_models: 'Use "google/<model>" (e.g. "google/gemma-3n-e4b-it") or "gemini-*" as the model in /v1 endpoints to call Google instead of Ollama (needs GEMINI_API_KEY)',
+            context_window: `Chats longer than a model's num_ctx are shortened with the "${CONTEXT_STRATEGY}" strategy (drop_oldest, sliding_window, summarize or off, per model with context_strategy); the x-mileva-context-trimmed header and local_info.context report what was left out`,
+            model_fallback: 'Models with a "fallback" list in models.json are retried on the next model after a timeout or error; the x-mileva-model header says which model answered, send x-mileva-fallback: off to disable',
+            openai_usage: {
+                chat_completions: 'Use /v1/chat/completions with messages array',
+                completions: 'Use /v1/completions with prompt string',
+                tools: 'Send OpenAI "tools" and "tool_choice" to get "tool_calls" back; reply with role "tool" messages',
+                structured_output: 'Send "response_format": {"type": "json_object"} or {"type": "json_schema", "json_schema": {...}} to get validated JSON (native endpoints take a "schema" field)',
+                images: 'Vision models (vision: true in models.json) take "image_url" content parts with base64 data URLs, or http(s) URLs when IMAGE_URL_FETCH=on (native endpoints take an "images" array)',
+                streaming: 'Set "stream": true to receive Server-Sent Events (add "stream_options": {"include_usage": true} for a final usage chunk)',
+                batches: 'Upload a JSONL file of requests to /v1/files, start it with /v1/batches and download output_file_id when the batch is completed; unfinished batches continue after a restart',
+                caching: 'With RESPONSE_CACHE enabled, requests with temperature 0 or a seed are answered from cache (x-mileva-cache header; send Cache-Control: no-cache to skip)',
+                drop_in_replacement: 'Change base URL to use local models instead of OpenAI'
+            },
+            google_gemma_usage: {
+                simple: 'Use /api/google-gemma with input field',
+                requirement: 'Requires GEMINI_API_KEY environment variable'
+            }
+        },
+        examples: {
+            'curl_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"input":"Hello"}\' http://your-server.com/api/llama32-1b',
+            'openai_chat_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"model":"gpt-3.5-turbo","messages":[{"role":"user","content":"Hello"}]}\' http://your-server.com/v1/chat/completions',
+            'openai_completion_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"model":"text-davinci-003","prompt":"Hello"}\' http://your-server.com/v1/completions',
+            'google_gemma_example': 'curl -X POST -H "Content-Type: application/json" -H "x-api-key: YOUR_KEY" -d \'{"contents":[{"role":"user","parts":[{"text":"Hello"}]}]}\' http://your-server.com/api/google-gemma'
+        },
+        browser_usage: {
+            note: 'When accessing via browser, responses are formatted for readability',
+            force_json: 'Add ?format=json to any URL to get raw JSON response',
+            example: 'http://your-server.com/?format=json'
+        },
+        how_to_add_models: {
+            description: `To add support for any other ollama model, add an entry to ${MODELS_CONFIG} and restart the server`,
+            example_entry: {
+                'my-model': {
+                    ollama: 'model:tag',
+                    description: 'My Model',
+                    aliases: ['my-openai-alias'],
+                    timeout: 120000,
+                    options: { temperature: 0.5 }
+                }
+            },
+            note: 'The model becomes available at POST /api/models/my-model/generate and under its aliases in /v1 endpoints'
+        }
+    });
+});
+
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+function isMetricsTokenValid(presented) {
+    const expected = Buffer.from(hashKey(METRICS_TOKEN), 'hex');
+    return Boolean(presented) && timingSafeEqual(Buffer.from(hashKey(presented), 'hex'), expected);
+}
+
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+        const presented = req.headers['authorization']?.replace('Bearer ', '') || req.headers['x-api-key'];
+        if (!isMetricsTokenValid(presented)) {
+            return res.status(401).json({ error: 'Unauthorized - set Authorization: Bearer <METRICS_TOKEN>' });
+        }
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
+const keyStore = { keys: loadKeys(KEYS_FILE), version: keysFileVersion(KEYS_FILE) };
+
+const envKeyRecord = API_KEY ? {
+    id: 'env',
+    label: 'API_KEY environment variable',
+    hash: hashKey(API_KEY),
+    scopes: KEY_SCOPES,
+    models: ['*'],
+    expires_at: null,
+    revoked_at: null
+} : null;
+
+function getKeys() {
+    const version = keysFileVersion(KEYS_FILE);
+    if (version !== keyStore.version) {
+        try {
+            keyStore.keys = loadKeys(KEYS_FILE);
+            keyStore.version = version;
+            log.info('Reloaded API keys', { path: KEYS_FILE, keys: keyStore.keys.length });
+        } catch (error) {
+            log.error('Could not reload API keys, keeping previous keys', { path: KEYS_FILE, error: error.message });
+        }
+    }
+    return envKeyRecord ? [envKeyRecord, ...keyStore.keys] : keyStore.keys;
+}
+
+function getRouteGroup(baseUrl, path) {
+    if (baseUrl === '/v1') {
+        return 'openai';
+    }
+    if (path.startsWith('/admin')) {
+        return 'admin';
+    }
+    if (path.startsWith('/google-gemma')) {
+        return 'google';
+    }
+    return 'native';
+}
+
+function authenticate(presented, group) {
+    if (!presented) {
+        return { error: 'Missing API key' };
+    }
+    const record = findKey(getKeys(), presented);
+    if (!record) {
+        return { error: 'Invalid API key provided' };
+    }
+    const status = getKeyStatus(record);
+    if (status !== 'active') {
+        return { error: `API key ${record.id} is ${status}` };
+    }
+    if (!record.scopes.includes(group)) {
+        return { error: `API key ${record.id} is not allowed to use ${group} endpoints`, forbidden: true };
+    }
+    return { key: record };
+}
+
+function persistKeys(keys) {
+    saveKeys(KEYS_FILE, keys);
+    keyStore.keys = keys;
+    keyStore.version = keysFileVersion(KEYS_FILE);
+}
+
+function isModelAllowed(req, names) {
+    const allowed = req.apiKey?.models || ['*'];
+    return allowed.includes('*') || names.some(name => allowed.includes(name));
+}
+
+function authorizeModel(req, modelEntry, requestedId = modelEntry.name) {
+    if (modelEntry.provider === 'google' && !req.apiKey.scopes.includes('google')) {
+        const error = new Error(`API key ${req.apiKey.id} is not allowed to use google models like '${requestedId}'`);
+        error.code = 'model_not_allowed';
+        throw error;
+    }
+    if (isModelAllowed(req, [requestedId, modelEntry.name, modelEntry.ollama, ...modelEntry.aliases])) {
+        return modelEntry;
+    }
+    const error = new Error(`API key ${req.apiKey.id} is not allowed to use model '${requestedId}'`);
+    error.code = 'model_not_allowed';
+    throw error;
+}
+
+const requestWindows = new Map();
+const dailyTokenUsage = new Map();
+
+function formatResetDuration(ms) {
+    const totalSeconds = Math.max(1, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${seconds}s`;
+}
+
+function getLimitBuckets(req, modelEntry) {
+    const key = req.apiKey;
+    const buckets = [{
+        id: `key:${key.id}`,
+        description: `API key ${key.id}`,
+        rpm: key.rpm ?? RATE_LIMIT_RPM,
+        tpd: key.tpd ?? TOKEN_QUOTA_DAILY
+    }];
+    if (modelEntry.rpm || modelEntry.tpd) {
+        buckets.push({
+            id: `key:${key.id}:model:${modelEntry.name}`,
+            description: `API key ${key.id} on model ${modelEntry.name}`,
+            rpm: modelEntry.rpm || 0,
+            tpd: modelEntry.tpd || 0
+        });
+    }
+    return buckets;
+}
+
+function getRequestWindow(bucketId, now) {
+    let window = requestWindows.get(bucketId);
+    if (!window || now - window.start >= 60000) {
+        window = { start: now, count: 0 };
+        requestWindows.set(bucketId, window);
+    }
+    return window;
+}
+
+function getTokenDay(bucketId, now) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    let usage = dailyTokenUsage.get(bucketId);
+    if (!usage || usage.day !== day) {
+        usage = { day, used: 0 };
+        dailyTokenUsage.set(bucketId, usage);
+    }
+    return usage;
+}
+
+function rateLimitError(message, limitType, resetMs) {
+    const error = new Error(message);
+    error.code = 'rate_limit_exceeded';
+    error.limitType = limitType;
+    error.retryAfter = Math.max(1, Math.ceil(resetMs / 1000));
+    return error;
+}
+
+function trackUsage(req, res, modelEntry) {
+    res.locals.model = modelEntry.name;
+    if (USAGE_LOG === 'off') {
+        return;
+    }
+    const startTime = Date.now();
+    res.once('close', () => {
+        const usage = res.locals.usage || {};
+        const record = {
+            timestamp: new Date(startTime).toISOString(),
+            key_id: req.apiKey?.id || null,
+            key_label: req.apiKey?.label || null,
+            route: `${req.baseUrl}${req.path}`,
+            model: modelEntry.name,
+            ollama_model: (res.locals.answeredBy || modelEntry).ollama || null,
+            status: res.writableFinished ? res.statusCode : 499,
+            prompt_tokens: usage.prompt_tokens || 0,
+            completion_tokens: usage.completion_tokens || 0,
+            total_tokens: usage.total_tokens || 0,
+            latency_ms: Date.now() - startTime,
+            stream: req.body?.stream === true,
+            cached: Boolean(res.locals.cacheHit)
+        };
+        appendUsage(USAGE_LOG, record).catch(error => log.error('Cannot write usage record', { path: USAGE_LOG, error: error.message }));
+    });
+}
+
+function enforceRateLimits(req, res, modelEntry) {
+    const now = Date.now();
+    const nextMidnight = new Date(now).setUTCHours(24, 0, 0, 0);
+    const buckets = getLimitBuckets(req, modelEntry);
+    let requestState = null;
+    let tokenState = null;
+
+    for (const bucket of buckets) {
+        if (bucket.rpm > 0) {
+            const window = getRequestWindow(bucket.id, now);
+            const state = { bucket, window, limit: bucket.rpm, remaining: bucket.rpm - window.count, resetMs: window.start + 60000 - now };
+            if (!requestState || state.remaining < requestState.remaining) {
+                requestState = state;
+            }
+        }
+        if (bucket.tpd > 0) {
+            const usage = getTokenDay(bucket.id, now);
+            const state = { bucket, limit: bucket.tpd, remaining: bucket.tpd - usage.used, resetMs: nextMidnight - now };
+            if (!tokenState || state.remaining < tokenState.remaining) {
+                tokenState = state;
+            }
+        }
+    }
+
+    if (requestState) {
+        res.setHeader('x-ratelimit-limit-requests', requestState.limit);
+        res.setHeader('x-ratelimit-remaining-requests', Math.max(0, requestState.remaining - 1));
+        res.setHeader('x-ratelimit-reset-requests', formatResetDuration(requestState.resetMs));
+    }
+    if (tokenState) {
+        res.setHeader('x-ratelimit-limit-tokens', tokenState.limit);
+        res.setHeader('x-ratelimit-remaining-tokens', Math.max(0, tokenState.remaining));
+        res.setHeader('x-ratelimit-reset-tokens', formatResetDuration(tokenState.resetMs));
+    }
+
+    if (requestState && requestState.remaining <= 0) {
+        res.setHeader('x-ratelimit-remaining-requests', 0);
+        throw rateLimitError(
+            `Rate limit reached for ${requestState.bucket.description}: ${requestState.limit} requests per minute. Please try again in ${formatResetDuration(requestState.resetMs)}.`,
+            'requests',
+            requestState.resetMs
+        );
+    }
+    if (tokenState && tokenState.remaining <= 0) {
+        throw rateLimitError(
+            `Token quota reached for ${tokenState.bucket.description}: ${tokenState.limit} tokens per day. Please try again in ${formatResetDuration(tokenState.resetMs)}.`,
+            'tokens',
+            tokenState.resetMs
+        );
+    }
+
+    for (const bucket of buckets) {
+        if (bucket.rpm > 0) {
+            getRequestWindow(bucket.id, now).count++;
+        }
+    }
+
+    res.on('finish', () => {
+        const tokens = res.locals.usage?.total_tokens;
+        if (!tokens || res.locals.cacheHit) {
+            return;
+        }
+        for (const bucket of buckets) {
+            if (bucket.tpd > 0) {
+                getTokenDay(bucket.id, Date.now()).used += tokens;
+            }
+        }
+    });
+}
+
+setInterval(() => {
+    const now = Date.now();
+    const today = new Date(now).toISOString().slice(0, 10);
+    for (const [id, window] of requestWindows) {
+        if (now - window.start >= 60000) {
+            requestWindows.delete(id);
+        }
+    }
+    for (const [id, usage] of dailyTokenUsage) {
+        if (usage.day !== today) {
+            dailyTokenUsage.delete(id);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+const modelQueues = new Map();
+
+function getModelQueue(modelEntry) {
+    let queue = modelQueues.get(modelEntry.ollama);
+    if (!queue) {
+        queue = { active: 0, waiting: [], served: 0, rejected: 0, avgDurationMs: 0 };
+        modelQueues.set(modelEntry.ollama, queue);
+    }
+    queue.concurrencyPerBackend = modelEntry.maxConcurrency;
+    queue.maxConcurrency = modelEntry.maxConcurrency * ollamaBackends.capacity(modelEntry.ollama);
+    queue.maxQueue = modelEntry.maxQueue;
+    queue.queueTimeout = modelEntry.queueTimeout;
+    return queue;
+}
+
+function refreshQueueCapacity() {
+    for (const [model, queue] of modelQueues) {
+        queue.maxConcurrency = queue.concurrencyPerBackend * ollamaBackends.capacity(model);
+        startNextInQueue(queue);
+    }
+}
+
+function queueError(code, message, queue) {
+    const error = new Error(message);
+    error.code = code;
+    const estimate = (queue.avgDurationMs || 5000) * (queue.waiting.length + 1) / queue.maxConcurrency;
+    error.retryAfter = Math.max(1, Math.ceil(estimate / 1000));
+    return error;
+}
+
+function startNextInQueue(queue) {
+    while (queue.active < queue.maxConcurrency && queue.waiting.length > 0) {
+        const waiter = queue.waiting.shift();
+        waiter.start();
+    }
+}
+
+function acquireModelSlot(modelEntry, { priority = 0, signal } = {}) {
+    const queue = getModelQueue(modelEntry);
+
+    return new Promise((resolve, reject) => {
+        const grant = () => {
+            queue.active++;
+            const startedAt = Date.now();
+            let released = false;
+            resolve(() => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                queue.active--;
+                queue.served++;
+                const duration = Date.now() - startedAt;
+                queue.avgDurationMs = queue.avgDurationMs ? queue.avgDurationMs * 0.8 + duration * 0.2 : duration;
+                startNextInQueue(queue);
+            });
+        };
+
+        if (queue.active < queue.maxConcurrency && queue.waiting.length === 0) {
+            return grant();
+        }
+
+        if (queue.waiting.length >= queue.maxQueue) {
+            queue.rejected++;
+            return reject(queueError('queue_full', `Model ${modelEntry.ollama} is busy: ${queue.active} running and ${queue.waiting.length} queued requests`, queue));
+        }
+
+        const waiter = {
+            priority,
+            start: () => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                grant();
+            }
+        };
+        const leave = () => {
+            const index = queue.waiting.indexOf(waiter);
+            if (index !== -1) {
+                queue.waiting.splice(index, 1);
+            }
+        };
+        const timeoutId = setTimeout(() => {
+            leave();
+            queue.rejected++;
+            timeoutsTotal.inc({ ollama_model: modelEntry.ollama, stage: 'queue' });
+            reject(queueError('queue_timeout', `Request waited more than ${queue.queueTimeout}ms in the queue for model ${modelEntry.ollama}`, queue));
+        }, queue.queueTimeout);
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            leave();
+            reject(new Error('Request aborted - client disconnected'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const position = queue.waiting.findIndex(other => other.priority < priority);
+        queue.waiting.splice(position === -1 ? queue.waiting.length : position, 0, waiter);
+        log.info('Request queued', { ollama_model: modelEntry.ollama, priority, waiting: queue.waiting.length });
+    });
+}
+
+async function reserveModelSlot(req, res, modelEntry) {
+    if (modelEntry.provider !== 'ollama') {
+        return () => {};
+    }
+    const release = await acquireModelSlot(modelEntry, {
+        priority: req.apiKey?.priority || 0,
+        signal: abortOnClose(res)
+    });
+    res.on('close', release);
+    return release;
+}
+
+const FALLBACK_OFF_VALUES = ['off', 'false', '0', 'none'];
+
+function isFallbackError(error) {
+    if (error.param || error.message.includes('client disconnected')) {
+        return false;
+    }
+    return !['model_not_allowed', 'rate_limit_exceeded', 'queue_full', 'queue_timeout'].includes(error.code);
+}
+
+function getFallbackReason(error) {
+    if (error.code === 'model_not_found' || error.code === 'ollama_unavailable') {
+        return error.code;
+    }
+    return error.message.includes('timeout') ? 'timeout' : 'error';
+}
+
+function createFallbackChain(req, res, modelEntry, check = async () => {}) {
+    const enabled = !FALLBACK_OFF_VALUES.includes(String(req.get('x-mileva-fallback')).toLowerCase());
+    const candidates = enabled ? [...modelEntry.fallback] : [];
+    let release = () => {};
+
+    const chain = {
+        entry: modelEntry,
+        fallbacks: [],
+
+        async reserve() {
+            release = await reserveModelSlot(req, res, chain.entry);
+        },
+
+        async next(failed, error) {
+            chain.fallbacks.push({ model: failed, reason: getFallbackReason(error), error: error.message });
+            while (candidates.length > 0) {
+                const id = candidates.shift();
+                try {
+                    const entry = authorizeModel(req, requireModelType(await resolveModel(id), 'chat'), id);
+                    await check(entry);
+                    release();
+                    release = await reserveModelSlot(req, res, entry);
+                    chain.entry = entry;
+                    modelFallbacks.inc({ model: modelEntry.name, fallback: entry.name, reason: getFallbackReason(error) });
+                    log.warn('Falling back to another model', { model: modelEntry.name, failed, fallback: entry.name, reason: getFallbackReason(error), error: error.message });
+                    return true;
+                } catch (candidateError) {
+                    chain.fallbacks.push({ model: id, reason: getFallbackReason(candidateError), error: candidateError.message });
+                    log.warn('Skipping fallback model', { model: modelEntry.name, fallback: id, error: candidateError.message });
+                }
+            }
+            return false;
+        },
+
+        async run(call) {
+            while (true) {
+                if (!res.headersSent) {
+                    res.setHeader('x-mileva-model', chain.entry.name);
+                }
+                try {
+                    const result = await call(chain.entry);
+                    candidates.length = 0;
+                    res.locals.answeredBy = chain.entry;
+                    return result;
+                } catch (error) {
+                    if (!isFallbackError(error) || res.headersSent || !(await chain.next(chain.entry.name, error))) {
+                        if (!res.headersSent) {
+                            res.removeHeader('x-mileva-model');
+                        }
+                        throw error;
+                    }
+                }
+            }
+        },
+
+        describe() {
+            return {
+                ...describeUpstream(chain.entry),
+                answered_by: chain.entry.name,
+                ...(chain.fallbacks.length > 0 ? { fallbacks: chain.fallbacks } : {})
+            };
+        }
+    };
+    return chain;
+}
+
+function getQueueStatus() {
+    return Object.fromEntries([...modelQueues.entries()].map(([model, queue]) => [model, {
+        active: queue.active,
+        queued: queue.waiting.length,
+        max_concurrency: queue.maxConcurrency,
+        max_queue: queue.maxQueue,
+        queue_timeout_ms: queue.queueTimeout,
+        served: queue.served,
+        rejected: queue.rejected,
+        avg_duration_ms: Math.round(queue.avgDurationMs)
+    }]));
+}
+
+const responseCache = new Map();
+const cacheStats = { hits: 0, misses: 0, bypassed: 0, stores: 0, evictions: 0 };
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function normalizeMessagesForCache(messages) {
+    return messages.map(({ role, content, name, tool_calls, tool_call_id }) => ({
+        role,
+        content: getMessageText(content),
+        images: getMessageImages(content).length > 0 ? hashImages(getMessageImages(content)) : undefined,
+        name,
+        tool_calls,
+        tool_call_id
+    }));
+}
+
+function buildCacheKey(kind, model, options, input) {
+    if (RESPONSE_CACHE === 'off') {
+        return null;
+    }
+    const merged = { ...DEFAULT_OLLAMA_OPTIONS, ...options };
+    if (merged.temperature !== 0 && !Number.isInteger(merged.seed)) {
+        return null;
+    }
+    return createHash('sha256').update(stableStringify({ kind, model, options: merged, input })).digest('hex');
+}
+
+function getCacheDirectives(req) {
+    const header = (req.get('cache-control') || '').toLowerCase();
+    return {
+        noCache: header.includes('no-cache') || header.includes('no-store'),
+        noStore: header.includes('no-store')
+    };
+}
+
+function getCacheFile(key) {
+    return join(RESPONSE_CACHE_DIR, `${key}.json`);
+}
+
+function deleteCacheEntry(key) {
+    responseCache.delete(key);
+    if (RESPONSE_CACHE === 'disk') {
+        rmSync(getCacheFile(key), { force: true });
+    }
+}
+
+function setCacheEntry(entry) {
+    responseCache.delete(entry.key);
+    responseCache.set(entry.key, entry);
+    while (responseCache.size > RESPONSE_CACHE_MAX_ENTRIES) {
+        deleteCacheEntry(responseCache.keys().next().value);
+        cacheStats.evictions++;
+    }
+}
+
+function lookupCache(req, res, key) {
+    if (RESPONSE_CACHE === 'off') {
+        return null;
+    }
+    if (!key || getCacheDirectives(req).noCache) {
+        cacheStats.bypassed++;
+        res.set('x-mileva-cache', 'bypass');
+        return null;
+    }
+
+    const entry = responseCache.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+        deleteCacheEntry(key);
+    } else if (entry) {
+        setCacheEntry(entry);
+        cacheStats.hits++;
+        res.locals.cacheHit = true;
+        res.set('x-mileva-cache', 'hit');
+        return entry.value;
+    }
+
+    cacheStats.misses++;
+    res.set('x-mileva-cache', 'miss');
+    return null;
+}
+
+function storeInCache(req, key, model, value) {
+    if (!key || getCacheDirectives(req).noStore) {
+        return;
+    }
+    const now = Date.now();
+    const entry = { key, model, value, createdAt: now, expiresAt: now + RESPONSE_CACHE_TTL_MS };
+    setCacheEntry(entry);
+    cacheStats.stores++;
+    if (RESPONSE_CACHE === 'disk') {
+        try {
+            mkdirSync(RESPONSE_CACHE_DIR, { recursive: true });
+            writeFileSync(getCacheFile(key), JSON.stringify(entry));
+        } catch (error) {
+            log.error('Cannot write response cache entry', { key, error: error.message });
+        }
+    }
+}
+
+function loadCacheFromDisk() {
+    if (!existsSync(RESPONSE_CACHE_DIR)) {
+        return;
+    }
+    const now = Date.now();
+    const entries = [];
+    for (const file of readdirSync(RESPONSE_CACHE_DIR).filter(name => name.endsWith('.json'))) {
+        try {
+            const entry = JSON.parse(readFileSync(join(RESPONSE_CACHE_DIR, file), 'utf8'));
+            if (entry.expiresAt > now && `${entry.key}.json` === file) {
+                entries.push(entry);
+                continue;
+            }
+        } catch (error) {
+            log.warn('Ignoring unreadable response cache file', { file, error: error.message });
+        }
+        rmSync(join(RESPONSE_CACHE_DIR, file), { force: true });
+    }
+    entries.sort((a, b) => a.createdAt - b.createdAt).forEach(setCacheEntry);
+    log.info('Loaded cached responses', { path: RESPONSE_CACHE_DIR, entries: responseCache.size });
+}
+
+function purgeCache(model) {
+    let removed = 0;
+    for (const [key, entry] of [...responseCache.entries()]) {
+        if (!model || entry.model === model) {
+            deleteCacheEntry(key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+function getCacheStatus() {
+    const models = {};
+    for (const entry of responseCache.values()) {
+        models[entry.model] = (models[entry.model] || 0) + 1;
+    }
+    return {
+        mode: RESPONSE_CACHE,
+        entries: responseCache.size,
+        max_entries: RESPONSE_CACHE_MAX_ENTRIES,
+        ttl_ms: RESPONSE_CACHE_TTL_MS,
+        ...(RESPONSE_CACHE === 'disk' ? { directory: RESPONSE_CACHE_DIR } : {}),
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        bypassed: cacheStats.bypassed,
+        stores: cacheStats.stores,
+        evictions: cacheStats.evictions,
+        models
+    };
+}
+
+if (RESPONSE_CACHE === 'disk') {
+    loadCacheFromDisk();
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of [...responseCache.entries()]) {
+        if (entry.expiresAt <= now) {
+            deleteCacheEntry(key);
+        }
+    }
+}, 10 * 60 * 1000).unref();
+
+app.use('/api', (req, res, next) => {
+    const group = getRouteGroup(req.baseUrl, req.path);
+    const auth = authenticate(req.headers['x-api-key'], group);
+    if (!auth.key) {
+        log.warn('Rejected request', { group, reason: auth.error });
+        return res.status(403).json({ error: `Forbidden - ${auth.error}` });
+    }
+    req.apiKey = auth.key;
+    next();
+});
+
+app.use('/v1', (req, res, next) => {
+    const presented = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+    const auth = authenticate(presented, 'openai');
+    if (!auth.key) {
+        log.warn('Rejected request', { group: 'openai', reason: auth.error });
+        if (req.path === '/messages') {
+            return res.status(auth.forbidden ? 403 : 401).json({
+                type: 'error',
+                error: {
+                    type: auth.forbidden ? 'permission_error' : 'authentication_error',
+                    message: auth.error
+                }
+            });
+        }
+        return res.status(auth.forbidden ? 403 : 401).json({ 
+            error: {
+                message: auth.error,
+                type: 'invalid_request_error',
+                code: auth.forbidden ? 'insufficient_permissions' : 'invalid_api_key'
+            }
+        });
+    }
+    req.apiKey = auth.key;
+    next();
+});
+
+app.get('/api/admin/keys', (req, res) => {
+    res.json({
+        keys: getKeys().filter(record => record !== envKeyRecord).map(describeKey),
+        env_key_enabled: Boolean(envKeyRecord)
+    });
+});
+
+app.post('/api/admin/keys', (req, res) => {
+    try {
+        const { label, scopes, models, expires_at, rpm, tpd, priority } = req.body;
+        const { key, record } = createKey({ label, scopes, models, expires: expires_at, rpm, tpd, priority });
+        persistKeys([...keyStore.keys, record]);
+        log.info('Created API key', { id: record.id, label: record.label, scopes: record.scopes });
+        res.status(201).json({
+            ...describeKey(record),
+            key,
+            note: 'Store this key now - it cannot be shown again'
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/admin/keys/:id', (req, res) => {
+    const record = keyStore.keys.find(candidate => candidate.id === req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: `API key ${req.params.id} not found` });
+    }
+    if (record.id === req.apiKey.id) {
+        return res.status(400).json({ error: 'You cannot revoke the key you are using' });
+    }
+    const keys = keyStore.keys.map(candidate => candidate === record
+        ? { ...candidate, revoked_at: candidate.revoked_at || new Date().toISOString() }
+        : candidate);
+    persistKeys(keys);
+    log.info('Revoked API key', { id: record.id, label: record.label });
+    res.json(describeKey(keys.find(candidate => candidate.id === record.id)));
+});
+
+app.get('/api/admin/cache', (req, res) => {
+    res.json(getCacheStatus());
+});
+
+app.delete('/api/admin/cache', (req, res) => {
+    const model = req.query.model ? (modelRegistry.lookup.get(req.query.model)?.ollama || req.query.model) : null;
+    const removed = purgeCache(model);
+    log.info('Purged response cache', { removed, ollama_model: model || undefined });
+    res.json({ removed, model, entries: responseCache.size });
+});
+
+function parseReportTime(name, value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(time)) {
+        throw invalidParameter(name, `${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+app.get('/api/usage', async (req, res) => {
+    const isAdmin = req.apiKey.scopes.includes('admin');
+    const keyId = isAdmin ? req.query.key : req.apiKey.id;
+    if (!isAdmin && req.query.key && req.query.key !== req.apiKey.id) {
+        return res.status(403).json({ error: 'Forbidden - only keys with the admin scope can see usage of other keys' });
+    }
+
+    try {
+        const from = parseReportTime('from', req.query.from);
+        const to = parseReportTime('to', req.query.to, true);
+        const groupBy = req.query.group_by || 'day';
+        if (!['day', 'none'].includes(groupBy)) {
+            throw invalidParameter('group_by', 'group_by must be "day" or "none"');
+        }
+        const entry = req.query.model ? modelRegistry.lookup.get(req.query.model) : null;
+        const models = req.query.model ? [req.query.model, ...(entry ? [entry.name, entry.ollama] : [])] : null;
+
+        const records = await readUsage(USAGE_LOG, { keyId, models, from, to });
+        const rows = groupBy === 'day' ? summarizeUsage(records) : records;
+        const fields = groupBy === 'day' ? SUMMARY_FIELDS : USAGE_FIELDS;
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send(toCSV(rows, fields));
+        }
+
+        res.json({
+            filters: {
+                key: keyId || null,
+                model: req.query.model || null,
+                from: from ? new Date(from).toISOString() : null,
+                to: to ? new Date(to).toISOString() : null,
+                group_by: groupBy
+            },
+            totals: {
+                requests: records.length,
+                errors: records.filter(record => record.status >= 400).length,
+                prompt_tokens: records.reduce((total, record) => total + record.prompt_tokens, 0),
+                completion_tokens: records.reduce((total, record) => total + record.completion_tokens, 0),
+                total_tokens: records.reduce((total, record) => total + record.total_tokens, 0)
+            },
+            data: rows
+        });
+    } catch (error) {
+        log.error('Usage report failed', { error: error.message });
+        return sendNativeError(res, error);
+    }
+});
+
+const modelDetailsCache = new Map();
+const INSTALLED_MODELS_TTL = 10000;
+let installedModelsCache = { models: null, fetchedAt: 0 };
+
+async function fetchInstalledModels({ refresh = false } = {}) {
+    if (!refresh && installedModelsCache.models && Date.now() - installedModelsCache.fetchedAt < INSTALLED_MODELS_TTL) {
+        return installedModelsCache.models;
+    }
+
+    const results = await ollamaBackends.probe();
+    if (results.every(({ models }) => !models)) {
+        throw new Error(`Ollama service not responding (${results.map(({ backend }) => `${backend.name}: ${backend.lastError}`).join('; ')})`);
+    }
+
+    const models = new Map();
+    for (const { models: installed } of results) {
+        for (const model of installed || []) {
+            if (!models.has(model.name)) {
+                models.set(model.name, model);
+            }
+        }
+    }
+
+    installedModelsCache = { models: [...models.values()], fetchedAt: Date.now() };
+    return installedModelsCache.models;
+}
+
+async function fetchModelInfo(name) {
+    if (modelDetailsCache.has(name)) {
+        return modelDetailsCache.get(name);
+    }
+
+    const backend = ollamaBackends.select(name);
+    if (!backend) {
+        throw new Error(`No Ollama backend serves ${name}`);
+    }
+    const response = await fetch(`${backend.url}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: name }),
+        signal: AbortSignal.timeout(MODEL_INFO_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Ollama show failed for ${name} (${response.status})`);
+    }
+    const data = await response.json();
+    const key = Object.keys(data.model_info || {}).find(field => field.endsWith('.context_length'));
+
+    const info = {
+        contextLength: key ? data.model_info[key] : null,
+        capabilities: data.capabilities || []
+    };
+    modelDetailsCache.set(name, info);
+    return info;
+}
+
+async function fetchModelContextLength(name) {
+    try {
+        return (await fetchModelInfo(name)).contextLength;
+    } catch (error) {
+        log.warn('Could not read model details', { ollama_model: name, error: error.message });
+        return null;
+    }
+}
+
+async function supportsNativeTools(modelEntry) {
+    if (typeof modelEntry.tools === 'boolean') {
+        return modelEntry.tools;
+    }
+    try {
+        return (await fetchModelInfo(modelEntry.ollama)).capabilities.includes('tools');
+    } catch (error) {
+        log.warn('Could not read model capabilities', { ollama_model: modelEntry.ollama, error: error.message });
+        return false;
+    }
+}
+
+async function supportsVision(modelEntry) {
+    if (typeof modelEntry.vision === 'boolean') {
+        return modelEntry.vision;
+    }
+    if (modelEntry.provider === 'google') {
+        return true;
+    }
+    try {
+        return (await fetchModelInfo(modelEntry.ollama)).capabilities.includes('vision');
+    } catch (error) {
+        log.warn('Could not read model capabilities', { ollama_model: modelEntry.ollama, error: error.message });
+        return false;
+    }
+}
+
+async function requireVision(modelEntry, param = 'messages') {
+    if (await supportsVision(modelEntry)) {
+        return;
+    }
+    const visionModels = [...modelRegistry.models.values()].filter(entry => entry.vision && entry.type === 'chat').map(entry => entry.name);
+    throw invalidParameter(param, `The model '${modelEntry.name}' does not accept images${visionModels.length > 0 ? `, use a vision model such as ${visionModels.join(', ')}` : ''}`);
+}
+
+async function listOpenAIModels() {
+    const installed = await fetchInstalledModels();
+
+    const models = [];
+    for (const model of installed) {
+        const details = model.details || {};
+        const base = {
+            object: 'model',
+            created: Math.floor(new Date(model.modified_at || Date.now()).getTime() / 1000),
+            owned_by: 'mileva-local',
+            root: model.name,
+            size: model.size,
+            family: details.family || null,
+            families: details.families || (details.family ? [details.family] : []),
+            parameter_size: details.parameter_size || null,
+            quantization: details.quantization_level || null,
+            context_length: await fetchModelContextLength(model.name)
+        };
+
+        models.push({ id: model.name, ...base, parent: null, description: `Ollama model ${model.name}` });
+
+        const tag = normalizeOllamaTag(model.name);
+        for (const entry of modelRegistry.models.values()) {
+            if (entry.provider !== 'ollama' || normalizeOllamaTag(entry.ollama) !== tag) {
+                continue;
+            }
+            for (const id of [entry.name, ...entry.aliases]) {
+                if (id !== model.name) {
+                    models.push({ id, ...base, parent: model.name, description: `Powered by ${entry.description} locally` });
+                }
+            }
+        }
+    }
+
+    if (GEMINI_API_KEY) {
+        const googleEntries = [createGoogleEntry(`google/${GOOGLE_DEFAULT_MODEL}`), ...[...modelRegistry.models.values()].filter(entry => entry.provider === 'google')];
+        for (const entry of googleEntries) {
+            for (const id of [entry.name, ...entry.aliases]) {
+                models.push({
+                    id,
+                    object: 'model',
+                    created: Math.floor(Date.now() / 1000),
+                    owned_by: 'google',
+                    root: entry.google,
+                    parent: null,
+                    description: `${entry.description} in the cloud`
+                });
+            }
+        }
+    }
+
+    return models;
+}
+
+function sendModelListError(res, error) {
+    log.error('Model listing failed', { error: error.message });
+    return res.status(503).json({
+        error: {
+            message: `Could not list models from ollama: ${error.message}`,
+            type: 'api_error',
+            code: 'ollama_unavailable'
+        }
+    });
+}
+
+app.get('/v1/models', async (req, res) => {
+    try {
+        const models = await listOpenAIModels();
+        res.json({
+            object: 'list',
+            data: models.filter(model => isModelAllowed(req, [model.id, model.root]))
+        });
+    } catch (error) {
+        return sendModelListError(res, error);
+    }
+});
+
+app.get('/v1/models/:id(*)', async (req, res) => {
+    try {
+        const id = req.params.id;
+        const models = (await listOpenAIModels()).filter(candidate => isModelAllowed(req, [candidate.id, candidate.root]));
+        const model = models.find(candidate => candidate.id === id)
+            || models.find(candidate => candidate.id === normalizeOllamaTag(id));
+
+        if (!model) {
+            return res.status(404).json({
+                error: {
+                    message: `The model '${id}' does not exist or is not installed`,
+                    type: 'invalid_request_error',
+                    param: 'model',
+                    code: 'model_not_found'
+                }
+            });
+        }
+
+        res.json(model);
+    } catch (error) {
+        return sendModelListError(res, error);
+    }
+});
+
+async function handleChatCompletions(req, res) {
+    try {
+        const { model, messages, stream = false, stream_options, tool_choice } = req.body;
+        
+        if (!model || !messages) {
+            return res.status(400).json({
+                error: {
+                    message: 'Missing required parameters: model and messages',
+                    type: 'invalid_request_error',
+                    code: 'missing_required_parameter'
+                }
+            });
+        }
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'messages must be a non-empty array',
+                    type: 'invalid_request_error',
+                    param: 'messages',
+                    code: 'invalid_value'
+                }
+            });
+        }
+
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(model), 'chat'), model);
+        const upstreamModel = getUpstreamModel(modelEntry);
+        const requestOptions = buildOllamaOptions(req.body, OPENAI_PARAMETERS, 4);
+        const options = { ...modelEntry.options, ...requestOptions };
+        const n = parseChoiceCount(req.body.n);
+        const tools = validateTools(req.body.tools, tool_choice);
+        const responseFormat = parseResponseFormat(req.body.response_format);
+        const images = countMessageImages(messages);
+        const checkModel = async entry => {
+            validateGoogleRequest(entry, messages, tools, tool_choice);
+            if (images > 0) {
+                await requireVision(entry);
+            }
+        };
+        await checkModel(modelEntry);
+        const prompt = messages.map(message => getMessageText(message.content)).join('\n');
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        const chatMessages = await resolveMessageImages(messages);
+        const cacheKey = buildCacheKey('chat', upstreamModel, options, { messages: normalizeMessagesForCache(chatMessages), tools, tool_choice, n, response_format: responseFormat });
+        const cached = lookupCache(req, res, cacheKey);
+        const fallback = createFallbackChain(req, res, modelEntry, checkModel);
+        if (!cached) {
+            await fallback.reserve();
+        }
+        
+        log.info('Processing chat completion', {
+            model,
+            ...describeUpstream(modelEntry),
+            stream,
+            cached: Boolean(cached),
+            messages: messages.length,
+            images,
+            n,
+            tools: tools.length,
+            response_format: responseFormat?.type,
+            options,
+            ...log.promptFields(getMessageText(messages[messages.length - 1].content))
+        });
+        
+        const startTime = Date.now();
+
+        if (stream) {
+            const id = `chatcmpl-${Date.now()}`;
+            const created = Math.floor(Date.now() / 1000);
+            const includeUsage = stream_options?.include_usage === true;
+            const signal = abortOnClose(res);
+            const chunk = (index, delta, finishReason) => ({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: model,
+                system_fingerprint: `mileva-${getUpstreamModel(fallback.entry)}`,
+                choices: [
+                    {
+                        index,
+                        delta,
+                        logprobs: null,
+                        finish_reason: finishReason
+                    }
+                ],
+                ...(includeUsage ? { usage: null } : {})
+            });
+
+            const results = [];
+            for (let index = 0; index < n; index++) {
+                let started = false;
+                const begin = () => {
+                    if (!started) {
+                        started = true;
+                        if (!res.headersSent) {
+                            startSSE(res);
+                        }
+                        sendSSE(res, chunk(index, { role: 'assistant', content: '' }, null));
+                    }
+                };
+
+                const result = cached ? cached.results[index] : await fallback.run(entry => chatWithFormat(entry, chatMessages, {
+                    options: { ...entry.options, ...requestOptions },
+                    tools,
+                    toolChoice: tool_choice,
+                    responseFormat,
+                    signal,
+                    onContext: context => noteContextTrim(res, context),
+                    onToken: (token) => {
+                        begin();
+                        sendSSE(res, chunk(index, { content: token }, null));
+                    }
+                }));
+                begin();
+
+                if (cached && result.text) {
+                    sendSSE(res, chunk(index, { content: result.text }, null));
+                }
+
+                if (result.tool_calls.length > 0) {
+                    sendSSE(res, chunk(index, {
+                        tool_calls: result.tool_calls.map((call, callIndex) => ({ index: callIndex, ...call }))
+                    }, null));
+                }
+
+                results.push(result);
+                sendSSE(res, chunk(index, {}, result.finish_reason));
+            }
+
+            if (!cached && fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, upstreamModel, { results });
+            }
+
+            const usage = buildUsage(results, prompt.length);
+            res.locals.usage = usage;
+
+            if (includeUsage) {
+                sendSSE(res, {
+                    id,
+                    object: 'chat.completion.chunk',
+                    created,
+                    model: model,
+                    system_fingerprint: `mileva-${getUpstreamModel(fallback.entry)}`,
+                    choices: [],
+                    usage: usage
+                });
+            }
+
+            log.debug('Chat completion stream finished', { duration_ms: Date.now() - startTime });
+            return endSSE(res);
+        }
+
+        const results = cached ? cached.results : [];
+        if (!cached) {
+            for (let index = 0; index < n; index++) {
+                results.push(await fallback.run(entry => chatWithFormat(entry, chatMessages, {
+                    options: { ...entry.options, ...requestOptions },
+                    tools,
+                    toolChoice: tool_choice,
+                    responseFormat,
+                    onContext: context => noteContextTrim(res, context)
+                })));
+            }
+            if (fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, upstreamModel, { results });
+            }
+        }
+
+        const choices = results.map((result, index) => {
+            const hasToolCalls = result.tool_calls.length > 0;
+            return {
+                index,
+                message: {
+                    role: 'assistant',
+                    content: hasToolCalls ? (result.text || null) : result.text,
+                    ...(hasToolCalls ? { tool_calls: result.tool_calls } : {})
+                },
+                finish_reason: result.finish_reason
+            };
+        });
+        const endTime = Date.now();
+        const usage = buildUsage(results, prompt.length);
+        res.locals.usage = usage;
+        
+        const response = {
+            id: `chatcmpl-${Date.now()}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: choices,
+            usage: usage,
+            system_fingerprint: `mileva-${getUpstreamModel(fallback.entry)}`,
+            local_info: {
+                ...fallback.describe(),
+                processing_time_ms: endTime - startTime,
+                server: 'mileva-local',
+                cached: Boolean(cached),
+                timings: buildTimings(results),
+                ...(res.locals.context ? { context: res.locals.context } : {})
+            }
+        };
+        
+        log.debug('Chat completion finished', { duration_ms: endTime - startTime });
+        res.json(response);
+        
+    } catch (error) {
+        log.error('Chat completion failed', { error: error.message, code: error.code });
+        return sendOpenAIError(res, error);
+    }
+}
+
+app.post('/v1/chat/completions', handleChatCompletions);
+
+async function handleCompletions(req, res) {
+    try {
+        const { model, prompt, stream = false, stream_options } = req.body;
+        
+        if (!model || !prompt) {
+            return res.status(400).json({
+                error: {
+                    message: 'Missing required parameters: model and prompt',
+                    type: 'invalid_request_error',
+                    code: 'missing_required_parameter'
+                }
+            });
+        }
+
+        if (typeof prompt !== 'string') {
+            return res.status(400).json({
+                error: {
+                    message: 'prompt must be a string',
+                    type: 'invalid_request_error',
+                    param: 'prompt',
+                    code: 'invalid_value'
+                }
+            });
+        }
+
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(model), 'chat'), model);
+        const upstreamModel = getUpstreamModel(modelEntry);
+        const requestOptions = buildOllamaOptions(req.body, OPENAI_PARAMETERS, 4);
+        const options = { ...modelEntry.options, ...requestOptions };
+        const n = parseChoiceCount(req.body.n);
+        const cacheKey = buildCacheKey('completion', upstreamModel, options, { prompt, n });
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        const cached = lookupCache(req, res, cacheKey);
+        const fallback = createFallbackChain(req, res, modelEntry);
+        if (!cached) {
+            await fallback.reserve();
+        }
+        
+        log.info('Processing completion', {
+            model,
+            ...describeUpstream(modelEntry),
+            stream,
+            cached: Boolean(cached),
+            n,
+            options,
+            ...log.promptFields(prompt)
+        });
+        
+        const startTime = Date.now();
+
+        if (stream) {
+            const id = `cmpl-${Date.now()}`;
+            const created = Math.floor(Date.now() / 1000);
+            const includeUsage = stream_options?.include_usage === true;
+            const signal = abortOnClose(res);
+            const chunk = (index, text, finishReason) => ({
+                id,
+                object: 'text_completion',
+                created,
+                model: model,
+                choices: [
+                    {
+                        text,
+                        index,
+                        logprobs: null,
+                        finish_reason: finishReason
+                    }
+                ],
+                ...(includeUsage ? { usage: null } : {})
+            });
+
+            const begin = () => {
+                if (!res.headersSent) {
+                    startSSE(res);
+                }
+            };
+
+            const results = [];
+            for (let index = 0; index < n; index++) {
+                const result = cached ? cached.results[index] : await fallback.run(entry => getProvider(entry).complete(entry, prompt, {
+                    options: { ...entry.options, ...requestOptions },
+                    signal,
+                    onToken: (token) => {
+                        begin();
+                        sendSSE(res, chunk(index, token, null));
+                    }
+                }));
+                begin();
+
+                if (cached && result.text) {
+                    sendSSE(res, chunk(index, result.text, null));
+                }
+
+                results.push(result);
+                sendSSE(res, chunk(index, '', result.finish_reason));
+            }
+
+            if (!cached && fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, upstreamModel, { results });
+            }
+
+            const usage = buildUsage(results, prompt.length);
+            res.locals.usage = usage;
+
+            if (includeUsage) {
+                sendSSE(res, {
+                    id,
+                    object: 'text_completion',
+                    created,
+                    model: model,
+                    choices: [],
+                    usage: usage
+                });
+            }
+
+            log.debug('Completion stream finished', { duration_ms: Date.now() - startTime });
+            return endSSE(res);
+        }
+
+        const results = cached ? cached.results : [];
+        if (!cached) {
+            for (let index = 0; index < n; index++) {
+                results.push(await fallback.run(entry => getProvider(entry).complete(entry, prompt, { options: { ...entry.options, ...requestOptions } })));
+            }
+            if (fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, upstreamModel, { results });
+            }
+        }
+
+        const choices = results.map((result, index) => ({
+            text: result.text,
+            index,
+            logprobs: null,
+            finish_reason: result.finish_reason
+        }));
+        const endTime = Date.now();
+        const usage = buildUsage(results, prompt.length);
+        res.locals.usage = usage;
+        
+        const response = {
+            id: `cmpl-${Date.now()}`,
+            object: 'text_completion',
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: choices,
+            usage: usage,
+            local_info: {
+                ...fallback.describe(),
+                processing_time_ms: endTime - startTime,
+                server: 'mileva-local',
+                cached: Boolean(cached),
+                timings: buildTimings(results)
+            }
+        };
+        
+        log.debug('Completion finished', { duration_ms: endTime - startTime });
+        res.json(response);
+        
+    } catch (error) {
+        log.error('Completion failed', { error: error.message, code: error.code });
+        return sendOpenAIError(res, error);
+    }
+}
+
+app.post('/v1/completions', handleCompletions);
+
+function sendSSEEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+const ANTHROPIC_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    408: 'timeout_error',
+    429: 'rate_limit_error',
+    500: 'api_error',
+    529: 'overloaded_error'
+};
+
+function getAnthropicErrorStatus(error) {
+    if (error.param) {
+        return 400;
+    }
+    if (error.code === 'rate_limit_exceeded') {
+        return 429;
+    }
+    if (error.code === 'queue_full' || error.code === 'queue_timeout' || error.code === 'ollama_unavailable') {
+        return 529;
+    }
+    if (error.code === 'model_not_allowed') {
+        return 403;
+    }
+    if (error.code === 'model_not_found') {
+        return 404;
+    }
+    if (error.message.includes('timeout')) {
+        return 408;
+    }
+    return 500;
+}
+
+function sendAnthropicError(res, error) {
+    const status = getAnthropicErrorStatus(error);
+    const body = { type: 'error', error: { type: ANTHROPIC_ERROR_TYPES[status], message: error.message } };
+
+    if (res.headersSent) {
+        if (!res.destroyed && !res.writableEnded) {
+            sendSSEEvent(res, 'error', { ...body, error: { ...body.error, request_id: res.req.id } });
+            res.end();
+        }
+        return;
+    }
+    if (error.retryAfter) {
+        res.setHeader('Retry-After', error.retryAfter);
+    }
+    return res.status(status).json(body);
+}
+
+function getAnthropicText(content, param) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (!Array.isArray(content)) {
+        throw invalidParameter(param, `${param} must be a string or an array of text blocks`);
+    }
+    return content.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+}
+
+function getAnthropicImageSource(source, param) {
+    if (source?.type === 'base64') {
+        if (typeof source.data !== 'string') {
+            throw invalidParameter(param, 'Image blocks with a base64 source need data');
+        }
+        return `data:${source.media_type};base64,${source.data}`;
+    }
+    if (source?.type === 'url') {
+        return source.url;
+    }
+    throw invalidParameter(param, 'Image sources must have type "base64" or "url"');
+}
+
+function convertAnthropicMessages(system, messages) {
+    const converted = [];
+    if (system !== undefined && system !== null) {
+        const text = getAnthropicText(system, 'system');
+        if (text) {
+            converted.push({ role: 'system', content: text });
+        }
+    }
+
+    messages.forEach((message, index) => {
+        if (message?.role !== 'user' && message?.role !== 'assistant') {
+            throw invalidParameter(`messages.${index}.role`, 'role must be "user" or "assistant"');
+        }
+        const blocks = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+        if (!Array.isArray(blocks)) {
+            throw invalidParameter(`messages.${index}.content`, 'content must be a string or an array of content blocks');
+        }
+
+        const text = [];
+        const images = [];
+        const toolCalls = [];
+        for (const block of blocks) {
+            if (block?.type === 'text') {
+                text.push(block.text);
+            } else if (block?.type === 'tool_use' && message.role === 'assistant') {
+                toolCalls.push({ id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) } });
+            } else if (block?.type === 'image' && message.role === 'user') {
+                images.push({ type: 'image_url', image_url: { url: getAnthropicImageSource(block.source, `messages.${index}.content`) } });
+            } else if (block?.type === 'tool_result' && message.role === 'user') {
+                const result = getAnthropicText(block.content ?? '', `messages.${index}.content`);
+                converted.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${result}` : result });
+            } else {
+                throw invalidParameter(`messages.${index}.content`, `Content blocks of type "${block?.type}" are not supported in ${message.role} messages`);
+            }
+        }
+
+        if (message.role === 'assistant') {
+            converted.push({ role: 'assistant', content: text.join(''), ...(toolCalls.length ? { tool_calls: toolCalls } : {}) });
+        } else if (images.length > 0) {
+            converted.push({ role: 'user', content: [...(text.length > 0 ? [{ type: 'text', text: text.join('\n') }] : []), ...images] });
+        } else if (text.length > 0) {
+            converted.push({ role: 'user', content: text.join('\n') });
+        }
+    });
+
+    return converted;
+}
+
+function convertAnthropicTools(tools) {
+    if (tools === undefined || tools === null) {
+        return undefined;
+    }
+    if (!Array.isArray(tools)) {
+        throw invalidParameter('tools', 'tools must be an array');
+    }
+    return tools.map((tool, index) => {
+        if (typeof tool?.name !== 'string' || !tool.name) {
+            throw invalidParameter(`tools.${index}.name`, 'Each tool needs a name');
+        }
+        return {
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.input_schema || { type: 'object', properties: {} }
+            }
+        };
+    });
+}
+
+function convertAnthropicToolChoice(toolChoice) {
+    if (toolChoice === undefined || toolChoice === null) {
+        return undefined;
+    }
+    const choices = { auto: 'auto', any: 'required', none: 'none' };
+    if (choices[toolChoice.type]) {
+        return choices[toolChoice.type];
+    }
+    if (toolChoice.type === 'tool') {
+        return { type: 'function', function: { name: toolChoice.name } };
+    }
+    throw invalidParameter('tool_choice', 'tool_choice.type must be "auto", "any", "tool" or "none"');
+}
+
+function toAnthropicToolUse(call) {
+    return {
+        type: 'tool_use',
+        id: call.id.replace(/^call_/, 'toolu_'),
+        name: call.function.name,
+        input: parseToolArguments(call.function.arguments)
+    };
+}
+
+function getAnthropicStopReason(result) {
+    if (result.tool_calls.length > 0) {
+        return 'tool_use';
+    }
+    if (result.stop_sequence) {
+        return 'stop_sequence';
+    }
+    return result.finish_reason === 'length' ? 'max_tokens' : 'end_turn';
+}
+
+function createStopSequenceFilter(stopSequences, onText) {
+    const holdBack = Math.max(...stopSequences.map(sequence => sequence.length)) - 1;
+    let pending = '';
+    const filter = {
+        text: '',
+        matched: null,
+        push(chunk) {
+            if (filter.matched) {
+                return true;
+            }
+            pending += chunk;
+            const hits = stopSequences
+                .map(sequence => ({ sequence, index: pending.indexOf(sequence) }))
+                .filter(hit => hit.index !== -1)
+                .sort((a, b) => a.index - b.index);
+            if (hits.length > 0) {
+                filter.matched = hits[0].sequence;
+                emit(pending.slice(0, hits[0].index));
+                pending = '';
+                return true;
+            }
+            emit(pending.slice(0, Math.max(0, pending.length - holdBack)));
+            pending = pending.slice(Math.max(0, pending.length - holdBack));
+            return false;
+        },
+        flush() {
+            emit(pending);
+            pending = '';
+        }
+    };
+    const emit = (text) => {
+        if (text) {
+            filter.text += text;
+            onText?.(text);
+        }
+    };
+    return filter;
+}
+
+async function chatWithStopSequences(modelEntry, messages, stopSequences, { onToken, signal, ...settings }) {
+    if (stopSequences.length === 0) {
+        return getProvider(modelEntry).chat(modelEntry, messages, { ...settings, onToken, signal });
+    }
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    const filter = createStopSequenceFilter(stopSequences, onToken);
+    try {
+        const result = await getProvider(modelEntry).chat(modelEntry, messages, {
+            ...settings,
+            signal: controller.signal,
+            onToken: chunk => filter.push(chunk) && controller.abort()
+        });
+        if (!filter.matched) {
+            filter.flush();
+            return result;
+        }
+        return { ...result, text: filter.text, finish_reason: 'stop', tool_calls: [], stop_sequence: filter.matched };
+    } catch (error) {
+        if (!filter.matched || signal?.aborted) {
+            throw error;
+        }
+        return { text: filter.text, finish_reason: 'stop', tool_calls: [], stop_sequence: filter.matched, usage: null };
+    }
+}
+
+app.post('/v1/messages', async (req, res) => {
+    res.setHeader('request-id', req.id);
+
+    try {
+        const { model, messages, system, stream = false, max_tokens, stop_sequences } = req.body;
+
+        for (const [param, value] of Object.entries({ model, messages, max_tokens })) {
+            if (value === undefined || value === null) {
+                throw invalidParameter(param, `${param}: Field required`);
+            }
+        }
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw invalidParameter('messages', 'messages must be a non-empty array');
+        }
+        if (stop_sequences !== undefined && !Array.isArray(stop_sequences)) {
+            throw invalidParameter('stop_sequences', 'stop_sequences must be an array of strings');
+        }
+
+        let chatMessages = convertAnthropicMessages(system, messages);
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(model), 'chat'), model);
+        const upstreamModel = getUpstreamModel(modelEntry);
+        const toolChoice = convertAnthropicToolChoice(req.body.tool_choice);
+        const tools = validateTools(convertAnthropicTools(req.body.tools), toolChoice);
+        const { stop, ...body } = req.body;
+        const { stop: stopSequences = [], ...requestOptions } = buildOllamaOptions({ ...body, stop: stop_sequences }, ANTHROPIC_PARAMETERS, 16);
+        const options = { ...modelEntry.options, ...requestOptions };
+        const images = countMessageImages(chatMessages);
+        const checkModel = async entry => {
+            validateGoogleRequest(entry, chatMessages, tools, toolChoice);
+            if (images > 0) {
+                await requireVision(entry);
+            }
+        };
+        await checkModel(modelEntry);
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        chatMessages = await resolveMessageImages(chatMessages);
+        const prompt = chatMessages.map(message => getMessageText(message.content)).join('\n');
+        const cacheKey = buildCacheKey('chat', upstreamModel, options, { messages: normalizeMessagesForCache(chatMessages), tools, tool_choice: toolChoice, stop_sequences: stopSequences, n: 1 });
+        const cached = lookupCache(req, res, cacheKey);
+        const fallback = createFallbackChain(req, res, modelEntry, checkModel);
+        if (!cached) {
+            await fallback.reserve();
+        }
+
+        log.info('Processing Anthropic message', {
+            model,
+            ...describeUpstream(modelEntry),
+            stream,
+            cached: Boolean(cached),
+            messages: messages.length,
+            tools: tools.length,
+            options,
+            anthropic_version: req.get('anthropic-version'),
+            ...log.promptFields(getMessageText(chatMessages[chatMessages.length - 1]?.content))
+        });
+
+        const id = `msg_${randomUUID().replace(/-/g, '').slice(0, 24)}`;
+        const startTime = Date.now();
+
+        if (stream) {
+            const signal = abortOnClose(res);
+            let index = 0;
+            let textOpen = false;
+            const openText = () => {
+                if (!textOpen) {
+                    textOpen = true;
+                    sendSSEEvent(res, 'content_block_start', { type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+                }
+            };
+            const begin = () => {
+                if (res.headersSent) {
+                    return;
+                }
+                startSSE(res);
+                sendSSEEvent(res, 'message_start', {
+                    type: 'message_start',
+                    message: {
+                        id,
+                        type: 'message',
+                        role: 'assistant',
+                        model,
+                        content: [],
+                        stop_reason: null,
+                        stop_sequence: null,
+                        usage: { input_tokens: estimateUsage(prompt.length, 0).prompt_tokens, output_tokens: 0 }
+                    }
+                });
+                sendSSEEvent(res, 'ping', { type: 'ping' });
+            };
+            const sendText = (text) => {
+                begin();
+                openText();
+                sendSSEEvent(res, 'content_block_delta', { type: 'content_block_delta', index, delta: { type: 'text_delta', text } });
+            };
+
+            const result = cached ? cached.results[0] : await fallback.run(entry => chatWithStopSequences(entry, chatMessages, stopSequences, {
+                options: { ...entry.options, ...requestOptions },
+                tools,
+                toolChoice,
+                signal,
+                onToken: sendText,
+                onContext: context => noteContextTrim(res, context)
+            }));
+            begin();
+            if (cached && result.text) {
+                sendText(result.text);
+            }
+
+            if (textOpen || result.tool_calls.length === 0) {
+                openText();
+                sendSSEEvent(res, 'content_block_stop', { type: 'content_block_stop', index });
+                index++;
+            }
+            for (const call of result.tool_calls) {
+                const toolUse = toAnthropicToolUse(call);
+                sendSSEEvent(res, 'content_block_start', { type: 'content_block_start', index, content_block: { ...toolUse, input: {} } });
+                sendSSEEvent(res, 'content_block_delta', { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(toolUse.input) } });
+                sendSSEEvent(res, 'content_block_stop', { type: 'content_block_stop', index });
+                index++;
+            }
+
+            if (!cached && fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, upstreamModel, { results: [result] });
+            }
+            const usage = buildUsage([result], prompt.length);
+            res.locals.usage = usage;
+
+            sendSSEEvent(res, 'message_delta', {
+                type: 'message_delta',
+                delta: { stop_reason: getAnthropicStopReason(result), stop_sequence: result.stop_sequence ?? null },
+                usage: { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+            });
+            sendSSEEvent(res, 'message_stop', { type: 'message_stop' });
+            log.debug('Anthropic message stream finished', { duration_ms: Date.now() - startTime });
+            return res.end();
+        }
+
+        const result = cached ? cached.results[0] : await fallback.run(entry => chatWithStopSequences(entry, chatMessages, stopSequences, {
+            options: { ...entry.options, ...requestOptions },
+            tools,
+            toolChoice,
+            onContext: context => noteContextTrim(res, context)
+        }));
+        if (!cached && fallback.fallbacks.length === 0) {
+            storeInCache(req, cacheKey, upstreamModel, { results: [result] });
+        }
+        const usage = buildUsage([result], prompt.length);
+        res.locals.usage = usage;
+
+        const content = result.tool_calls.map(toAnthropicToolUse);
+        if (result.text || content.length === 0) {
+            content.unshift({ type: 'text', text: result.text });
+        }
+
+        log.debug('Anthropic message finished', { duration_ms: Date.now() - startTime });
+        res.json({
+            id,
+            type: 'message',
+            role: 'assistant',
+            model,
+            content,
+            stop_reason: getAnthropicStopReason(result),
+            stop_sequence: result.stop_sequence ?? null,
+            usage: {
+                input_tokens: usage.prompt_tokens,
+                output_tokens: usage.completion_tokens
+            }
+        });
+    } catch (error) {
+        log.error('Anthropic message failed', { error: error.message, code: error.code });
+        return sendAnthropicError(res, error);
+    }
+});
+
+const MAX_EMBEDDING_INPUTS = 2048;
+
+function encodeEmbedding(vector, encodingFormat) {
+    if (encodingFormat === 'base64') {
+        return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+    }
+    return vector;
+}
+
+function truncateEmbedding(vector, dimensions) {
+    if (!dimensions) {
+        return vector;
+    }
+    if (dimensions > vector.length) {
+        throw invalidParameter('dimensions', `dimensions must be <= ${vector.length} for this model`);
+    }
+    const truncated = vector.slice(0, dimensions);
+    const norm = Math.sqrt(truncated.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? truncated.map(value => value / norm) : truncated;
+}
+
+async function callOllamaEmbedAPI(model, input, timeout = 60000) {
+    log.debug('Calling Ollama embed API', { ollama_model: model, inputs: input.length });
+    const data = await requestOllama('/api/embed', { model, input, truncate: true }, timeout);
+    log.debug('Ollama embed response received', { ollama_model: model });
+    return data;
+}
+
+async function handleEmbeddings(req, res) {
+    try {
+        const { model, input, encoding_format = 'float', dimensions } = req.body;
+
+        if (!model || input === undefined || input === null) {
             return res.status(400).json({
                 error: {
-                    message: 'Streaming is not supported yet',
+                    message: 'Missing required parameters: model and input',
                     type: 'invalid_request_error',
-                    code: 'unsupported_parameter'
+                    code: 'missing_required_parameter'
+                }
+            });
+        }
+
+        const inputs = Array.isArray(input) ? input : [input];
+        if (inputs.length === 0 || inputs.some(item => typeof item !== 'string' || item.length === 0)) {
+            throw invalidParameter('input', 'input must be a non-empty string or an array of non-empty strings (token arrays are not supported)');
+        }
+        if (inputs.length > MAX_EMBEDDING_INPUTS) {
+            throw invalidParameter('input', `input accepts at most ${MAX_EMBEDDING_INPUTS} items`);
+        }
+        if (!['float', 'base64'].includes(encoding_format)) {
+            throw invalidParameter('encoding_format', 'encoding_format must be "float" or "base64"');
+        }
+        if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+            throw invalidParameter('dimensions', 'dimensions must be a positive integer');
+        }
+
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(model), 'embedding'), model);
+        if (modelEntry.provider === 'google') {
+            throw invalidParameter('model', `Embeddings are not supported for the Google model '${model}'`);
+        }
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        await reserveModelSlot(req, res, modelEntry);
+        log.info('Processing embeddings', { model, ollama_model: modelEntry.ollama, inputs: inputs.length });
+
+        const startTime = Date.now();
+        const result = await callOllamaEmbedAPI(modelEntry.ollama, inputs, modelEntry.timeout);
+        const promptTokens = result.prompt_eval_count
+            ?? Math.ceil(inputs.reduce((sum, item) => sum + item.length, 0) / 4);
+        res.locals.usage = { prompt_tokens: promptTokens, completion_tokens: 0, total_tokens: promptTokens };
+
+        const response = {
+            object: 'list',
+            data: (result.embeddings || []).map((vector, index) => ({
+                object: 'embedding',
+                index,
+                embedding: encodeEmbedding(truncateEmbedding(vector, dimensions), encoding_format)
+            })),
+            model: model,
+            usage: {
+                prompt_tokens: promptTokens,
+                total_tokens: promptTokens
+            },
+            local_info: {
+                ollama_model: modelEntry.ollama,
+                processing_time_ms: Date.now() - startTime,
+                server: 'mileva-local'
+            }
+        };
+
+        log.debug('Embeddings finished');
+        res.json(response);
+
+    } catch (error) {
+        log.error('Embeddings failed', { error: error.message, code: error.code });
+        return sendOpenAIError(res, error);
+    }
+}
+
+app.post('/v1/embeddings', handleEmbeddings);
+
+async function readOllamaStream(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let last = null;
+
+    const handleLine = (line) => {
+        if (!line.trim()) {
+            return;
+        }
+        const data = JSON.parse(line);
+        if (data.error) {
+            throw new Error(`Ollama API error: ${data.error}`);
+        }
+        onChunk(data);
+        last = data;
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+    } catch (error) {
+        reader.cancel().catch(() => {});
+        throw error;
+    }
+
+    return last;
+}
+
+async function requestOllama(endpoint, payload, timeout, settings = {}) {
+    const tried = [];
+    let lastError = null;
+
+    while (true) {
+        const backend = ollamaBackends.select(payload.model, tried);
+        if (!backend) {
+            if (lastError) {
+                const error = new Error(`All Ollama backends for ${payload.model} are unreachable (${lastError.message})`);
+                error.code = 'ollama_unavailable';
+                throw error;
+            }
+            const error = new Error(`No Ollama backend serves the model ${payload.model}`);
+            error.code = 'model_not_found';
+            throw error;
+        }
+        if (lastError) {
+            ollamaFailovers.inc({ endpoint, ollama_model: payload.model });
+            log.warn('Failing over to another Ollama backend', { endpoint, ollama_model: payload.model, backend: backend.name, failed: tried.at(-1).name });
+        }
+        tried.push(backend);
+
+        try {
+            return await requestOllamaBackend(backend, endpoint, payload, timeout, settings);
+        } catch (error) {
+            if (!error.unreachable || settings.signal?.aborted) {
+                throw error;
+            }
+            ollamaBackends.markDown(backend, error);
+            lastError = error;
+        }
+    }
+}
+
+async function requestOllamaBackend(backend, endpoint, payload, timeout, { onChunk, signal, options } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const stream = typeof onChunk === 'function';
+    let response = null;
+
+    if (signal) {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    
+    backend.active++;
+    try {
+        response = await fetch(`${backend.url}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                ...payload,
+                stream: stream,
+                keep_alive: -1,
+                options: {
+                    ...DEFAULT_OLLAMA_OPTIONS,
+                    ...options
                 }
-            });
+            }),
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`Ollama API error (${response.status}): ${errorText}`);
+            error.status = response.status;
+            if (response.status === 404) {
+                error.code = 'model_not_found';
+            }
+            throw error;
         }
 
-        const ollamaModel = mapModelName(model);
+        const data = stream ? await readOllamaStream(response, onChunk) : await response.json();
+        clearTimeout(timeoutId);
+        backend.served++;
         
-        console.log(`Processing OpenAI completion for model: ${model} (${ollamaModel})`);
-        console.log(`Prompt: ${prompt.substring(0, 100)}...`);
+        return data;
         
-        const startTime = Date.now();
-        const result = await callOllamaAPI(ollamaModel, prompt, 180000);
-        const endTime = Date.now();
+    } catch (error) {
+        clearTimeout(timeoutId);
         
-        const response = {
-            id: `cmpl-${Date.now()}`,
-            object: 'text_completion',
-            created: Math.floor(Date.now() / 1000),
-            model: model,
-            choices: [
-                {
-                    text: result,
-                    index: 0,
-                    logprobs: null,
-                    finish_reason: 'stop'
+        if (error.name === 'AbortError') {
+            if (signal?.aborted) {
+                throw new Error('Request aborted - client disconnected');
+            }
+            timeoutsTotal.inc({ ollama_model: payload.model, stage: 'generation' });
+            throw new Error('Request timeout - ollama took too long to respond');
+        }
+        
+        error.unreachable = !response && error.name === 'TypeError';
+        ollamaErrors.inc({ backend: backend.name, endpoint, ollama_model: payload.model, reason: error.status ? `http_${error.status}` : (error.unreachable ? 'connection' : 'error') });
+        log.error('Ollama API error', { backend: backend.name, endpoint, ollama_model: payload.model, error: error.message });
+        throw error;
+    } finally {
+        backend.active--;
+    }
+}
+
+function getFinishReason(data) {
+    return data?.done_reason === 'length' ? 'length' : 'stop';
+}
+
+function getOllamaUsage(data) {
+    const toMs = (nanoseconds) => Math.round((nanoseconds || 0) / 1e6);
+    const perSecond = (count, nanoseconds) => count && nanoseconds ? Math.round(count / (nanoseconds / 1e9) * 100) / 100 : null;
+    return {
+        prompt_tokens: data?.prompt_eval_count,
+        completion_tokens: data?.eval_count,
+        timings: {
+            total_ms: toMs(data?.total_duration),
+            load_ms: toMs(data?.load_duration),
+            prompt_eval_ms: toMs(data?.prompt_eval_duration),
+            eval_ms: toMs(data?.eval_duration),
+            prompt_tokens_per_second: perSecond(data?.prompt_eval_count, data?.prompt_eval_duration),
+            tokens_per_second: perSecond(data?.eval_count, data?.eval_duration)
+        }
+    };
+}
+
+async function callOllamaAPI(model, prompt, timeout = 60000, { onToken, signal, options, format, images } = {}) {
+    log.debug('Calling Ollama generate API', { ollama_model: model, stream: Boolean(onToken), images: images?.length });
+    const payload = { model, prompt, ...(format ? { format } : {}), ...(images?.length ? { images } : {}) };
+
+    if (onToken) {
+        let result = '';
+        const last = await requestOllama('/api/generate', payload, timeout, {
+            signal,
+            options,
+            onChunk: (data) => {
+                if (data.response) {
+                    result += data.response;
+                    onToken(data.response);
                 }
-            ],
-            usage: {
-                prompt_tokens: Math.ceil(prompt.length / 4),
-                completion_tokens: Math.ceil(result.length / 4),
-                total_tokens: Math.ceil((prompt.length + result.length) / 4)
-            },
-            local_info: {
-                ollama_model: ollamaModel,
-                processing_time_ms: endTime - startTime,
-                server: 'mileva-local'
+            }
+        });
+        log.debug('Ollama generate stream completed', { ollama_model: model });
+        return { text: result, finish_reason: getFinishReason(last), usage: getOllamaUsage(last) };
+    }
+
+    const data = await requestOllama('/api/generate', payload, timeout, { signal, options });
+    log.debug('Ollama generate response received', { ollama_model: model });
+    
+    return { text: data.response, finish_reason: getFinishReason(data), usage: getOllamaUsage(data) };
+}
+
+async function callOllamaChatAPI(model, messages, timeout = 60000, { onToken, signal, options, tools, format } = {}) {
+    log.debug('Calling Ollama chat API', { ollama_model: model, messages: messages.length, tools: tools?.length, stream: Boolean(onToken) });
+    const payload = { model, messages, ...(tools ? { tools } : {}), ...(format ? { format } : {}) };
+
+    if (onToken) {
+        let result = '';
+        const toolCalls = [];
+        const last = await requestOllama('/api/chat', payload, timeout, {
+            signal,
+            options,
+            onChunk: (data) => {
+                if (data.message?.content) {
+                    result += data.message.content;
+                    onToken(data.message.content);
+                }
+                if (data.message?.tool_calls) {
+                    toolCalls.push(...data.message.tool_calls);
+                }
+            }
+        });
+        log.debug('Ollama chat stream completed', { ollama_model: model });
+        return { text: result, finish_reason: getFinishReason(last), tool_calls: toolCalls, usage: getOllamaUsage(last) };
+    }
+
+    const data = await requestOllama('/api/chat', payload, timeout, { signal, options });
+    log.debug('Ollama chat response received', { ollama_model: model });
+    
+    return {
+        text: data.message?.content || '',
+        finish_reason: getFinishReason(data),
+        tool_calls: data.message?.tool_calls || [],
+        usage: getOllamaUsage(data)
+    };
+}
+
+const summaryCache = new Map();
+
+async function summarizeMessages(messages) {
+    const labels = { user: 'User', assistant: 'Assistant', tool: 'Tool result' };
+    const transcript = messages.map(message => `${labels[message.role] || message.role}: ${message.content}`).join('\n\n');
+    const key = createHash('sha256').update(transcript).digest('hex');
+    if (summaryCache.has(key)) {
+        return summaryCache.get(key);
+    }
+
+    const summaryEntry = requireModelType(await resolveModel(CONTEXT_SUMMARY_MODEL), 'chat');
+    const options = { ...summaryEntry.options, temperature: 0.2, num_predict: CONTEXT_SUMMARY_TOKENS };
+    const maxChars = Math.max(1024, ({ ...DEFAULT_OLLAMA_OPTIONS, ...options }.num_ctx - CONTEXT_SUMMARY_TOKENS - 256) * 4);
+    const startTime = Date.now();
+    const result = await getProvider(summaryEntry).chat(summaryEntry, [
+        { role: 'system', content: 'Summarize the conversation below in a few short sentences. Keep names, facts, numbers, decisions and open questions. Reply with the summary only.' },
+        { role: 'user', content: transcript.length > maxChars ? transcript.slice(-maxChars) : transcript }
+    ], { options });
+    log.info('Summarized earlier conversation turns', { model: summaryEntry.name, messages: messages.length, latency_ms: Date.now() - startTime });
+
+    const summary = result.text.trim();
+    summaryCache.set(key, summary);
+    if (summaryCache.size > 100) {
+        summaryCache.delete(summaryCache.keys().next().value);
+    }
+    return summary;
+}
+
+async function fitContextWindow(modelEntry, chatMessages, { options, tools, onContext } = {}) {
+    if (modelEntry.contextStrategy === 'off') {
+        return chatMessages;
+    }
+    const merged = { ...DEFAULT_OLLAMA_OPTIONS, ...options };
+    const reserved = (merged.num_predict > 0 ? merged.num_predict : CONTEXT_RESPONSE_TOKENS) + (tools ? estimateTokens(JSON.stringify(tools)) : 0);
+    const { messages, report } = await fitMessages(chatMessages, {
+        budget: Math.max(Math.floor(merged.num_ctx / 4), merged.num_ctx - reserved),
+        strategy: modelEntry.contextStrategy,
+        windowTurns: CONTEXT_WINDOW_TURNS,
+        summaryTokens: CONTEXT_SUMMARY_TOKENS,
+        summarize: summarizeMessages
+    });
+    if (report) {
+        const context = { ...report, context_window: merged.num_ctx };
+        log[report.fits ? 'info' : 'warn']('Fitted conversation into the context window', { ollama_model: modelEntry.ollama, ...context });
+        contextTrims.inc({ model: modelEntry.name, strategy: report.strategy });
+        onContext?.(context);
+    }
+    return messages;
+}
+
+async function runChatCompletion(modelEntry, messages, { options, tools = [], toolChoice, onToken, onContext, signal, format } = {}) {
+    const useTools = tools.length > 0 && toolChoice !== 'none';
+    const hasToolHistory = messages.some(message => message.role === 'tool' || message.role === 'function' || message.tool_calls?.length);
+    if (hasImages(messages)) {
+        await requireVision(modelEntry);
+    }
+    const nativeTools = useTools || hasToolHistory ? await supportsNativeTools(modelEntry) : true;
+    let chatMessages = convertMessagesForOllama(messages, { nativeTools });
+
+    if (!useTools) {
+        chatMessages = await fitContextWindow(modelEntry, chatMessages, { options, onContext });
+        const result = await callOllamaChatAPI(modelEntry.ollama, chatMessages, modelEntry.timeout, { options, onToken, signal, format });
+        return { ...result, tool_calls: [] };
+    }
+
+    if (nativeTools) {
+        const instruction = getToolChoiceInstruction(toolChoice);
+        if (instruction) {
+            chatMessages = addSystemInstruction(chatMessages, instruction);
+        }
+
+        const ollamaTools = tools.map(tool => ({ type: 'function', function: tool.function }));
+        chatMessages = await fitContextWindow(modelEntry, chatMessages, { options, tools: ollamaTools, onContext });
+        const result = await callOllamaChatAPI(modelEntry.ollama, chatMessages, modelEntry.timeout, {
+            options,
+            onToken,
+            signal,
+            tools: ollamaTools
+        });
+        const toolCalls = result.tool_calls.map(call => createToolCall(call.function.name, call.function.arguments));
+        return {
+            text: result.text,
+            finish_reason: toolCalls.length > 0 ? 'tool_calls' : result.finish_reason,
+            tool_calls: toolCalls,
+            usage: result.usage
+        };
+    }
+
+    log.info('Model has no native tool support, using prompt-based tool calling', { ollama_model: modelEntry.ollama });
+    chatMessages = addSystemInstruction(chatMessages, buildToolPrompt(tools, toolChoice));
+    chatMessages = await fitContextWindow(modelEntry, chatMessages, { options, onContext });
+
+    const result = await callOllamaChatAPI(modelEntry.ollama, chatMessages, modelEntry.timeout, { options, signal });
+    const toolCalls = parseToolCallsFromText(result.text, tools);
+    if (toolCalls.length > 0) {
+        return { text: '', finish_reason: 'tool_calls', tool_calls: toolCalls, usage: result.usage };
+    }
+
+    if (onToken && result.text) {
+        onToken(result.text);
+    }
+    return { ...result, tool_calls: [] };
+}
+
+async function handleNativeGenerate(req, res, name) {
+    const input = req.body.input;
+    if (!input) return res.status(400).json({ error: 'Missing input' });
+
+    try {
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(name), 'chat'), name);
+        const requestOptions = buildOllamaOptions(req.body, NATIVE_PARAMETERS);
+        const options = { ...modelEntry.options, ...requestOptions };
+        const responseFormat = parseNativeSchema(req.body.schema);
+        const checkModel = async entry => {
+            if (countNativeImages(req.body.images) > 0) {
+                await requireVision(entry, 'images');
             }
         };
-        
-        console.log('OpenAI completion successful');
-        res.json(response);
-        
+        await checkModel(modelEntry);
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        const images = await loadNativeImages(req.body.images);
+        const cacheKey = buildCacheKey('completion', getUpstreamModel(modelEntry), options, { prompt: input, n: 1, response_format: responseFormat, images: images.length > 0 ? hashImages(images) : undefined });
+        const cached = lookupCache(req, res, cacheKey);
+        const fallback = createFallbackChain(req, res, modelEntry, checkModel);
+        log.info('Processing native generation', { model: name, ...describeUpstream(modelEntry), cached: Boolean(cached), schema: responseFormat?.type, images: images.length, options, ...log.promptFields(input) });
+        let result = cached?.results[0];
+        if (!cached) {
+            await fallback.reserve();
+            result = await fallback.run(entry => completeWithFormat(entry, input, { options: { ...entry.options, ...requestOptions }, responseFormat, images }));
+            if (fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, getUpstreamModel(modelEntry), { results: [result] });
+            }
+        }
+        const usage = buildUsage([result], input.length);
+        res.locals.usage = usage;
+        res.json({
+            result: result.text,
+            ...(responseFormat ? { json: result.json } : {}),
+            finish_reason: result.finish_reason,
+            model: modelEntry.name,
+            answered_by: fallback.entry.name,
+            ...(fallback.fallbacks.length > 0 ? { fallbacks: fallback.fallbacks } : {}),
+            cached: Boolean(cached),
+            usage,
+            timings: buildTimings([result])
+        });
     } catch (error) {
-        console.error('OpenAI completion error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({
-                error: {
-                    message: 'Request timed out - model took too long to respond',
-                    type: 'timeout_error',
-                    code: 'timeout'
-                }
-            });
+        log.error('Native generation failed', { model: name, error: error.message, code: error.code });
+        return sendNativeError(res, error);
+    }
+}
+
+app.get('/api/models', (req, res) => {
+    res.json({
+        models: [...modelRegistry.models.values()].map(entry => ({
+            name: entry.name,
+            ollama: entry.ollama,
+            description: entry.description,
+            aliases: entry.aliases,
+            type: entry.type,
+            timeout_ms: entry.timeout,
+            options: entry.options,
+            fallback: entry.fallback,
+            endpoint: `/api/models/${entry.name}/generate`
+        }))
+    });
+});
+
+app.post('/api/models/:name/generate', (req, res) => handleNativeGenerate(req, res, req.params.name));
+
+for (const entry of modelRegistry.models.values()) {
+    if (entry.type === 'chat') {
+        app.post(`/api/${entry.name}`, (req, res) => handleNativeGenerate(req, res, entry.name));
+    }
+}
+
+const conversationStore = createConversationStore(CONVERSATIONS_DIR, { log });
+conversationStore.load();
+const busyConversations = new Set();
+
+function parseConversationText(body, field, maxLength) {
+    const value = body[field];
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || value.length > maxLength) {
+        throw invalidParameter(field, `${field} must be a string of at most ${maxLength} characters`);
+    }
+    return value;
+}
+
+app.post('/api/conversations', async (req, res) => {
+    const { model } = req.body;
+    if (!model) return res.status(400).json({ error: 'Missing model' });
+
+    try {
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(model), 'chat'), model);
+        const conversation = conversationStore.create({
+            owner: req.apiKey.id,
+            model: modelEntry.name,
+            system: parseConversationText(req.body, 'system', 100000),
+            title: parseConversationText(req.body, 'title', 200),
+            options: buildOllamaOptions(req.body, NATIVE_PARAMETERS)
+        });
+        log.info('Created conversation', { conversation_id: conversation.id, model: modelEntry.name });
+        res.status(201).json({ ...describeConversation(conversation), messages: [] });
+    } catch (error) {
+        log.error('Creating conversation failed', { model, error: error.message, code: error.code });
+        return sendNativeError(res, error);
+    }
+});
+
+app.get('/api/conversations', (req, res) => {
+    res.json({ conversations: conversationStore.list(req.apiKey.id).map(describeConversation) });
+});
+
+app.get('/api/conversations/:id', (req, res) => {
+    const conversation = conversationStore.get(req.params.id, req.apiKey.id);
+    if (!conversation) {
+        return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    res.json({ ...describeConversation(conversation), messages: conversation.messages });
+});
+
+app.delete('/api/conversations/:id', (req, res) => {
+    if (!conversationStore.get(req.params.id, req.apiKey.id)) {
+        return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    if (busyConversations.has(req.params.id)) {
+        return res.status(409).json({ error: `Conversation ${req.params.id} is answering a message, try again when it is done` });
+    }
+    conversationStore.remove(req.params.id, req.apiKey.id);
+    log.info('Deleted conversation', { conversation_id: req.params.id });
+    res.json({ id: req.params.id, object: 'conversation', deleted: true });
+});
+
+app.post('/api/conversations/:id/messages', async (req, res) => {
+    const conversation = conversationStore.get(req.params.id, req.apiKey.id);
+    if (!conversation) {
+        return res.status(404).json({ error: `Conversation ${req.params.id} not found` });
+    }
+    const input = req.body.input;
+    if (!input) return res.status(400).json({ error: 'Missing input' });
+    if (busyConversations.has(conversation.id)) {
+        return res.status(409).json({ error: `Conversation ${conversation.id} is already answering a message, wait for it before sending the next one` });
+    }
+
+    busyConversations.add(conversation.id);
+    try {
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(conversation.model), 'chat'), conversation.model);
+        const requestOptions = { ...conversation.options, ...buildOllamaOptions(req.body, NATIVE_PARAMETERS) };
+        const responseFormat = parseNativeSchema(req.body.schema);
+        const userMessage = { role: 'user', content: String(input), created_at: new Date().toISOString() };
+        const messages = [
+            ...(conversation.system ? [{ role: 'system', content: conversation.system }] : []),
+            ...[...conversation.messages, userMessage].map(({ role, content }) => ({ role, content }))
+        ];
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        const fallback = createFallbackChain(req, res, modelEntry);
+        log.info('Processing conversation message', {
+            conversation_id: conversation.id,
+            model: modelEntry.name,
+            ...describeUpstream(modelEntry),
+            messages: messages.length,
+            schema: responseFormat?.type,
+            options: { ...modelEntry.options, ...requestOptions },
+            ...log.promptFields(userMessage.content)
+        });
+
+        await fallback.reserve();
+        const result = await fallback.run(entry => chatWithFormat(entry, messages, {
+            options: { ...entry.options, ...requestOptions },
+            responseFormat,
+            onContext: context => noteContextTrim(res, context)
+        }));
+        const usage = buildUsage([result], messages.map(message => message.content).join('\n').length);
+        res.locals.usage = usage;
+        conversationStore.append(conversation, [userMessage, {
+            role: 'assistant',
+            content: result.text,
+            created_at: new Date().toISOString(),
+            model: fallback.entry.name,
+            usage
+        }]);
+
+        res.json({
+            conversation_id: conversation.id,
+            result: result.text,
+            ...(responseFormat ? { json: result.json } : {}),
+            finish_reason: result.finish_reason,
+            model: modelEntry.name,
+            answered_by: fallback.entry.name,
+            ...(fallback.fallbacks.length > 0 ? { fallbacks: fallback.fallbacks } : {}),
+            message_count: conversation.messages.length,
+            ...(res.locals.context ? { context: res.locals.context } : {}),
+            usage,
+            timings: buildTimings([result])
+        });
+    } catch (error) {
+        log.error('Conversation message failed', { conversation_id: conversation.id, model: conversation.model, error: error.message, code: error.code });
+        return sendNativeError(res, error);
+    } finally {
+        busyConversations.delete(conversation.id);
+    }
+});
+
+const templateStore = createTemplateStore(TEMPLATES_DIR, { log, validate: validateTemplateParameters, examples: 'templates' });
+templateStore.load();
+
+function validateTemplateParameters(template) {
+    const unknown = Object.keys(template.parameters).filter(param => param !== 'stop' && !NATIVE_PARAMETERS[param]);
+    if (unknown.length > 0) {
+        throw new Error(`Template "${template.name}" has unknown parameters: ${unknown.join(', ')} (use: ${[...Object.keys(NATIVE_PARAMETERS), 'stop'].join(', ')})`);
+    }
+    buildOllamaOptions(template.parameters, NATIVE_PARAMETERS);
+}
+
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templateStore.list().map(describeTemplate) });
+});
+
+app.get('/api/templates/:name', (req, res) => {
+    const template = templateStore.get(req.params.name, req.query.version);
+    if (!template) {
+        return res.status(404).json({ error: `Template ${req.params.name}${req.query.version ? ` version ${req.query.version}` : ''} not found` });
+    }
+    res.json(describeTemplate(template));
+});
+
+app.post('/api/templates/:name/run', async (req, res) => {
+    const { version } = req.body;
+    const template = templateStore.get(req.params.name, version);
+    if (!template) {
+        return res.status(404).json({ error: `Template ${req.params.name}${version !== undefined ? ` version ${version}` : ''} not found` });
+    }
+
+    try {
+        const { system, prompt } = renderTemplate(template, req.body.variables);
+        const modelEntry = authorizeModel(req, requireModelType(await resolveModel(template.model), 'chat'), template.model);
+        const requestOptions = { ...buildOllamaOptions(template.parameters, NATIVE_PARAMETERS), ...buildOllamaOptions(req.body, NATIVE_PARAMETERS) };
+        const options = { ...modelEntry.options, ...requestOptions };
+        const responseFormat = parseNativeSchema(req.body.schema);
+        const messages = [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }];
+        const cacheKey = buildCacheKey('chat', getUpstreamModel(modelEntry), options, { messages, n: 1, response_format: responseFormat });
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
+        const cached = lookupCache(req, res, cacheKey);
+        const fallback = createFallbackChain(req, res, modelEntry);
+        log.info('Running prompt template', {
+            template: template.name,
+            template_version: template.version,
+            model: modelEntry.name,
+            ...describeUpstream(modelEntry),
+            cached: Boolean(cached),
+            schema: responseFormat?.type,
+            options,
+            ...log.promptFields(prompt)
+        });
+
+        let result = cached?.results[0];
+        if (!cached) {
+            await fallback.reserve();
+            result = await fallback.run(entry => chatWithFormat(entry, messages, {
+                options: { ...entry.options, ...requestOptions },
+                responseFormat,
+                onContext: context => noteContextTrim(res, context)
+            }));
+            if (fallback.fallbacks.length === 0) {
+                storeInCache(req, cacheKey, getUpstreamModel(modelEntry), { results: [result] });
+            }
+        }
+        const usage = buildUsage([result], (system || '').length + prompt.length);
+        res.locals.usage = usage;
+        res.json({
+            result: result.text,
+            ...(responseFormat ? { json: result.json } : {}),
+            finish_reason: result.finish_reason,
+            template: { name: template.name, version: template.version },
+            model: modelEntry.name,
+            answered_by: fallback.entry.name,
+            ...(fallback.fallbacks.length > 0 ? { fallbacks: fallback.fallbacks } : {}),
+            cached: Boolean(cached),
+            usage,
+            timings: buildTimings([result])
+        });
+    } catch (error) {
+        log.error('Prompt template run failed', { template: template.name, template_version: template.version, error: error.message, code: error.code });
+        return sendNativeError(res, error);
+    }
+});
+
+async function checkTemplateModel(model) {
+    if (model !== undefined) {
+        requireModelType(await resolveModel(model), 'chat');
+    }
+}
+
+app.get('/api/admin/templates', (req, res) => {
+    res.json({ templates: templateStore.list() });
+});
+
+app.post('/api/admin/templates', async (req, res) => {
+    try {
+        await checkTemplateModel(req.body.model);
+        const template = templateStore.create(req.body);
+        log.info('Created prompt template', { template: template.name, version: template.version, model: template.model });
+        res.status(201).json(describeTemplate(template));
+    } catch (error) {
+        return res.status(error.code === 'template_exists' ? 409 : 400).json({ error: error.message });
+    }
+});
+
+app.put('/api/admin/templates/:name', async (req, res) => {
+    try {
+        if (!isPlainObject(req.body)) {
+            throw new Error('The request body must be a JSON object with the fields to change');
+        }
+        await checkTemplateModel(req.body.model);
+        const template = templateStore.update(req.params.name, req.body);
+        if (!template) {
+            return res.status(404).json({ error: `Template ${req.params.name} not found` });
+        }
+        log.info('Updated prompt template', { template: template.name, version: template.version, model: template.model });
+        res.json(describeTemplate(template));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/admin/templates/:name', (req, res) => {
+    if (!templateStore.remove(req.params.name)) {
+        return res.status(404).json({ error: `Template ${req.params.name} not found` });
+    }
+    log.info('Deleted prompt template', { template: req.params.name });
+    res.json({ name: req.params.name, object: 'template', deleted: true });
+});
+
+const fileStore = createFileStore(FILES_DIR, { log });
+fileStore.load();
+const batchStore = createBatchStore(BATCHES_DIR, { log });
+batchStore.load();
+let batchRunnerActive = false;
+const runningBatches = new Map();
+
+function sendNotFound(res, kind, id) {
+    return res.status(404).json({
+        error: {
+            message: `No ${kind} found with id '${id}'`,
+            type: 'invalid_request_error',
+            param: null,
+            code: `${kind}_not_found`
+        }
+    });
+}
+
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!boundary || !Buffer.isBuffer(body)) {
+        throw invalidParameter('file', 'Upload the file as multipart/form-data with "file" and "purpose" fields');
+    }
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const end = body.indexOf(delimiter, start + delimiter.length);
+        if (end === -1) {
+            break;
+        }
+        const part = body.subarray(start + delimiter.length, end);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const name = /[;\s]name="([^"]*)"/i.exec(headers)?.[1];
+            if (name) {
+                fields[name] = {
+                    filename: /filename="([^"]*)"/i.exec(headers)?.[1] ?? null,
+                    data: part.subarray(headerEnd + 4, part.length - 2)
+                };
+            }
+        }
+        start = end;
+    }
+    return fields;
+}
+
+function parseBatchInput(content, endpoint) {
+    const requests = [];
+    const errors = [];
+    const customIds = new Set();
+    const lines = content.split('\n');
+    lines.forEach((text, index) => {
+        const line = index + 1;
+        const fail = (code, message) => {
+            if (errors.length < 100) {
+                errors.push({ code, message, param: null, line });
+            }
+        };
+        if (!text.trim()) {
+            return;
+        }
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (error) {
+            return fail('invalid_json_line', `Line ${line} is not valid JSON: ${error.message}`);
+        }
+        if (!isPlainObject(request) || typeof request.custom_id !== 'string' || !request.custom_id) {
+            return fail('missing_required_parameter', `Line ${line} must be an object with a non-empty string custom_id`);
+        }
+        if (customIds.has(request.custom_id)) {
+            return fail('duplicate_custom_id', `The custom_id '${request.custom_id}' on line ${line} is already used by an earlier line`);
+        }
+        customIds.add(request.custom_id);
+        if (request.method !== 'POST') {
+            return fail('invalid_method', `Line ${line} must use the POST method`);
+        }
+        if (request.url !== endpoint) {
+            return fail('invalid_url', `Line ${line} calls ${request.url}, but this batch runs ${endpoint}`);
+        }
+        if (!isPlainObject(request.body)) {
+            return fail('invalid_request', `Line ${line} needs a body object with the request parameters`);
+        }
+        requests.push({ custom_id: request.custom_id, url: request.url, body: request.body });
+    });
+    if (requests.length === 0 && errors.length === 0) {
+        errors.push({ code: 'empty_file', message: 'The input file does not contain any requests', param: null, line: null });
+    }
+    if (requests.length > BATCH_MAX_REQUESTS) {
+        errors.push({ code: 'too_many_requests', message: `A batch can contain at most ${BATCH_MAX_REQUESTS} requests`, param: null, line: null });
+    }
+    return { requests, errors };
+}
+
+function isBatchExpired(batch) {
+    return Math.floor(Date.now() / 1000) >= batch.expires_at;
+}
+
+const BATCH_HANDLERS = {
+    '/v1/chat/completions': handleChatCompletions,
+    '/v1/completions': handleCompletions,
+    '/v1/embeddings': handleEmbeddings
+};
+
+function getBatchOwner(batch) {
+    const record = getKeys().find(candidate => candidate.id === batch.owner);
+    if (!record) {
+        return { error: 'The API key that created this batch no longer exists' };
+    }
+    const status = getKeyStatus(record);
+    if (status !== 'active') {
+        return { error: `API key ${record.id} is ${status}` };
+    }
+    if (!record.scopes.includes('openai')) {
+        return { error: `API key ${record.id} is not allowed to use openai endpoints` };
+    }
+    return { key: record };
+}
+
+function createBatchExchange(id, key, url, body) {
+    const headers = {};
+    const req = {
+        id,
+        method: 'POST',
+        baseUrl: '/v1',
+        path: url.slice('/v1'.length),
+        originalUrl: url,
+        headers: {},
+        query: {},
+        params: {},
+        body,
+        apiKey: key,
+        get: () => undefined
+    };
+    const res = Object.assign(new EventEmitter(), {
+        req,
+        locals: {},
+        statusCode: 200,
+        headersSent: false,
+        writableFinished: false,
+        payload: null,
+        setHeader(name, value) {
+            headers[name.toLowerCase()] = value;
+            return res;
+        },
+        set: (name, value) => res.setHeader(name, value),
+        getHeader: name => headers[name.toLowerCase()],
+        removeHeader(name) {
+            delete headers[name.toLowerCase()];
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(payload) {
+            res.payload = payload;
+            res.headersSent = true;
+            res.writableFinished = true;
+            res.emit('finish');
+            res.emit('close');
+            return res;
+        }
+    });
+    return { req, res, headers };
+}
+
+async function runBatchRequest(batch, request, signal) {
+    const id = `batch_req_${randomBytes(12).toString('hex')}`;
+    for (let attempt = 1; !signal.aborted; attempt++) {
+        const owner = getBatchOwner(batch);
+        if (!owner.key) {
+            return { id, error: { code: 'invalid_api_key', message: owner.error } };
+        }
+        const { req, res, headers } = createBatchExchange(id, owner.key, request.url, { ...request.body, stream: false });
+        try {
+            await runWithContext({ request_id: id, batch_id: batch.id }, () => BATCH_HANDLERS[request.url](req, res));
+        } catch (error) {
+            log.error('Batch request failed', { batch_id: batch.id, custom_id: request.custom_id, error: error.message });
+        } finally {
+            if (!res.writableFinished) {
+                res.emit('close');
+            }
+        }
+        if (!res.headersSent) {
+            return { id, error: { code: 'server_error', message: 'The request ended without a response' } };
+        }
+
+        const retryable = res.statusCode === 429 || res.statusCode === 503;
+        if (!retryable || attempt === BATCH_MAX_ATTEMPTS || isBatchExpired(batch)) {
+            return { id, response: { status_code: res.statusCode, request_id: id, body: res.payload } };
+        }
+        const seconds = Math.min(60, Math.max(Number(headers['retry-after']) || 0, 2 ** attempt));
+        log.debug('Batch request waiting to retry', { batch_id: batch.id, custom_id: request.custom_id, status: res.statusCode, attempt, retry_after: seconds });
+        await sleep(seconds * 1000, null, { signal }).catch(() => {});
+    }
+    return { id, error: { code: 'batch_cancelled', message: 'The batch was cancelled before this request could be retried.' } };
+}
+
+function getBatchResult({ response = null, error = null }) {
+    if (response !== null && response.status_code < 400) {
+        return 'completed';
+    }
+    return error?.code === 'batch_cancelled' ? 'cancelled' : 'failed';
+}
+
+function recordBatchResult(batch, request, { id, response = null, error = null }) {
+    const result = getBatchResult({ response, error });
+    batchStore.appendResult(batch, result === 'completed' ? 'output' : 'errors', { id, custom_id: request.custom_id, response, error });
+    if (result !== 'cancelled') {
+        batch.request_counts[result]++;
+    }
+    batchRequests.inc({ endpoint: batch.endpoint, result });
+    batchStore.save(batch);
+}
+
+function adoptBatchResults(batch, kind) {
+    const file = fileStore.adopt(batchStore.resultPath(batch.id, kind), {
+        owner: batch.owner,
+        filename: `${batch.id}_${kind === 'output' ? 'output' : 'error'}.jsonl`,
+        purpose: 'batch_output'
+    });
+    return file?.id ?? null;
+}
+
+function finishBatch(batch, status, errors = null) {
+    if (status === 'completed') {
+        batch.status = 'finalizing';
+        batch.finalizing_at = Math.floor(Date.now() / 1000);
+        batchStore.save(batch);
+    }
+    batch.output_file_id ??= adoptBatchResults(batch, 'output');
+    batch.error_file_id ??= adoptBatchResults(batch, 'errors');
+    batch.status = status;
+    batch[`${status}_at`] = Math.floor(Date.now() / 1000);
+    if (errors) {
+        batch.errors = { object: 'list', data: errors };
+    }
+    batchStore.save(batch);
+    log[status === 'completed' ? 'info' : 'warn']('Finished batch', { batch_id: batch.id, status, ...batch.request_counts });
+}
+
+async function processBatch(batch) {
+    const input = fileStore.get(batch.input_file_id, batch.owner);
+    if (!input) {
+        return finishBatch(batch, 'failed', [{ code: 'input_file_missing', message: `The input file ${batch.input_file_id} no longer exists`, param: null, line: null }]);
+    }
+    const { requests, errors } = parseBatchInput(fileStore.read(input.id), batch.endpoint);
+    if (batch.status === 'validating') {
+        if (errors.length > 0) {
+            return finishBatch(batch, 'failed', errors);
         }
-        
-        return res.status(500).json({
-            error: {
-                message: error.message,
-                type: 'internal_error',
-                code: 'model_error'
-            }
-        });
+        batch.status = 'in_progress';
+        batch.in_progress_at = Math.floor(Date.now() / 1000);
+        batch.request_counts.total = requests.length;
+        batchStore.save(batch);
+        log.info('Started batch', { batch_id: batch.id, endpoint: batch.endpoint, requests: requests.length });
+    } else if (batch.status === 'finalizing') {
+        batch.status = 'in_progress';
+    }
+
+    const outputs = batchStore.readResults(batch, 'output');
+    const failures = batchStore.readResults(batch, 'errors');
+    const written = new Set([...outputs, ...failures].map(line => line.custom_id));
+    const pending = requests.filter(request => !written.has(request.custom_id));
+    batch.request_counts.completed = outputs.length;
+    batch.request_counts.failed = failures.filter(line => getBatchResult(line) === 'failed').length;
+    if (written.size > 0 && batch.status === 'in_progress') {
+        log.info('Resuming batch', { batch_id: batch.id, done: written.size, remaining: pending.length });
     }
-});
 
-async function callOllamaAPI(model, prompt, timeout = 60000) {
+    let next = 0;
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-    
-    try {
-        console.log(`Calling ollama API for model: ${model}`);
-        console.log(`Prompt: ${prompt.substring(0, 100)}...`);
-        
-        const response = await fetch(`${OLLAMA_API_URL}/api/generate`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: model,
-                prompt: prompt,
-                stream: false,
-                keep_alive: -1,
-                options: {
-                    temperature: 0.7,
-                    top_p: 0.9,
-                    num_ctx: 4096
-                }
-            }),
-            signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Ollama API error (${response.status}): ${errorText}`);
+    const worker = async () => {
+        while (next < pending.length && batch.status === 'in_progress' && !isBatchExpired(batch)) {
+            const request = pending[next++];
+            recordBatchResult(batch, request, await runBatchRequest(batch, request, controller.signal));
         }
-        
-        const data = await response.json();
-        console.log(`Ollama API response received for ${model}`);
-        
-        return data.response;
-        
-    } catch (error) {
-        clearTimeout(timeoutId);
-        
-        if (error.name === 'AbortError') {
-            throw new Error('Request timeout - ollama took too long to respond');
+    };
+    runningBatches.set(batch.id, controller);
+    try {
+        await Promise.all(Array.from({ length: BATCH_CONCURRENCY }, worker));
+    } finally {
+        runningBatches.delete(batch.id);
+    }
+
+    if (batch.status === 'cancelling') {
+        return finishBatch(batch, 'cancelled');
+    }
+    if (next < pending.length) {
+        for (const request of pending.slice(next)) {
+            recordBatchResult(batch, request, {
+                id: `batch_req_${randomBytes(12).toString('hex')}`,
+                error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+            });
         }
-        
-        console.error('Ollama API error:', error.message);
-        throw error;
+        return finishBatch(batch, 'expired');
     }
+    return finishBatch(batch, 'completed');
 }
 
-app.post('/api/llama32-1b', async (req, res) => {
-    const input = req.body.input;
-    if (!input) return res.status(400).json({ error: 'Missing input' });
+function runBatches() {
+    if (batchRunnerActive) {
+        return;
+    }
+    batchRunnerActive = true;
+    runWithContext({}, drainBatches);
+}
 
-    console.log(`Processing llama32-1b request with input: ${input.substring(0, 100)}...`);
-    
+async function drainBatches() {
     try {
-        const result = await callOllamaAPI('llama3.2:1b', input, 180000);
-        console.log('Llama32-1b request completed successfully');
-        res.json({ result: result });
+        let batch;
+        while ((batch = batchStore.active()[0])) {
+            try {
+                await processBatch(batch);
+            } catch (error) {
+                log.error('Batch failed', { batch_id: batch.id, error: error.message });
+                batch.status = 'failed';
+                finishBatch(batch, 'failed', [{ code: 'server_error', message: error.message, param: null, line: null }]);
+            }
+        }
     } catch (error) {
-        console.error('Llama32-1b error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({ error: error.message });
+        log.error('Batch runner stopped', { error: error.message });
+    } finally {
+        batchRunnerActive = false;
+    }
+}
+
+app.post('/v1/files', express.raw({ type: () => true, limit: FILE_UPLOAD_LIMIT }), (req, res) => {
+    try {
+        const fields = parseMultipart(req.body, req.get('content-type'));
+        const purpose = fields.purpose?.data.toString('utf8').trim();
+        if (purpose !== 'batch') {
+            throw invalidParameter('purpose', 'purpose must be "batch", the only file purpose this server supports');
         }
-        
-        return res.status(500).json({ error: error.message });
+        if (!fields.file || fields.file.data.length === 0) {
+            throw invalidParameter('file', 'file must be a non-empty JSONL file');
+        }
+        const file = fileStore.create({
+            owner: req.apiKey.id,
+            filename: (fields.file.filename || 'input.jsonl').slice(0, 255),
+            purpose,
+            data: fields.file.data
+        });
+        log.info('Uploaded file', { file_id: file.id, bytes: file.bytes, purpose });
+        res.json(describeFile(file));
+    } catch (error) {
+        return sendOpenAIError(res, error);
     }
 });
 
-app.post('/api/llama32-3b', async (req, res) => {
-    const input = req.body.input;
-    if (!input) return res.status(400).json({ error: 'Missing input' });
-
-    console.log(`Processing llama32-3b request with input: ${input.substring(0, 100)}...`);
+app.get('/v1/files', (req, res) => {
+    res.json({ object: 'list', data: fileStore.list(req.apiKey.id, req.query.purpose).map(describeFile), has_more: false });
+});
 
-    try {
-        const result = await callOllamaAPI('llama3.2:3b', input, 120000);
-        console.log('Llama32-3b request completed successfully');
-        res.json({ result: result });
-    } catch (error) {
-        console.error('Llama32-3b error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({ error: error.message });
-        }
-        
-        return res.status(500).json({ error: error.message });
+app.get('/v1/files/:id', (req, res) => {
+    const file = fileStore.get(req.params.id, req.apiKey.id);
+    if (!file) {
+        return sendNotFound(res, 'file', req.params.id);
     }
+    res.json(describeFile(file));
 });
 
-app.post('/api/gemma3-4b', async (req, res) => {
-    const input = req.body.input;
-    if (!input) return res.status(400).json({ error: 'Missing input' });
+app.get('/v1/files/:id/content', (req, res) => {
+    const file = fileStore.get(req.params.id, req.apiKey.id);
+    if (!file) {
+        return sendNotFound(res, 'file', req.params.id);
+    }
+    res.setHeader('Content-Type', 'application/jsonl');
+    res.sendFile(resolvePath(fileStore.contentPath(file.id)));
+});
 
-    console.log(`Processing gemma3-4b request with input: ${input.substring(0, 100)}...`);
+app.delete('/v1/files/:id', (req, res) => {
+    const file = fileStore.get(req.params.id, req.apiKey.id);
+    if (!file) {
+        return sendNotFound(res, 'file', req.params.id);
+    }
+    if (batchStore.active().some(batch => batch.input_file_id === file.id)) {
+        return res.status(409).json({
+            error: {
+                message: `File ${file.id} is the input of a batch that has not finished yet`,
+                type: 'invalid_request_error',
+                param: null,
+                code: 'file_in_use'
+            }
+        });
+    }
+    fileStore.remove(file.id, req.apiKey.id);
+    log.info('Deleted file', { file_id: file.id });
+    res.json({ id: file.id, object: 'file', deleted: true });
+});
 
+app.post('/v1/batches', (req, res) => {
     try {
-        const result = await callOllamaAPI('gemma3:4b', input, 150000);
-        console.log('Gemma3-4b request completed successfully');
-        res.json({ result: result });
-    } catch (error) {
-        console.error('Gemma3-4b error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({ error: error.message });
+        const { input_file_id, endpoint, completion_window = '24h', metadata = null } = req.body;
+
+        if (!input_file_id || !endpoint) {
+            return res.status(400).json({
+                error: {
+                    message: 'Missing required parameters: input_file_id and endpoint',
+                    type: 'invalid_request_error',
+                    code: 'missing_required_parameter'
+                }
+            });
         }
-        
-        return res.status(500).json({ error: error.message });
+        if (!BATCH_ENDPOINTS.includes(endpoint)) {
+            throw invalidParameter('endpoint', `endpoint must be one of: ${BATCH_ENDPOINTS.join(', ')}`);
+        }
+        if (completion_window !== '24h') {
+            throw invalidParameter('completion_window', 'completion_window must be "24h"');
+        }
+        if (metadata !== null && (!isPlainObject(metadata) || Object.keys(metadata).length > 16
+            || Object.values(metadata).some(value => typeof value !== 'string' || value.length > 512))) {
+            throw invalidParameter('metadata', 'metadata must be an object with at most 16 string values of up to 512 characters');
+        }
+        const file = fileStore.get(input_file_id, req.apiKey.id);
+        if (!file) {
+            return sendNotFound(res, 'file', input_file_id);
+        }
+        if (file.purpose !== 'batch') {
+            throw invalidParameter('input_file_id', `File ${file.id} was not uploaded with purpose "batch"`);
+        }
+
+        const batch = batchStore.create({
+            owner: req.apiKey.id,
+            inputFileId: file.id,
+            endpoint,
+            completionWindow: completion_window,
+            completionWindowSeconds: 24 * 60 * 60,
+            metadata
+        });
+        log.info('Created batch', { batch_id: batch.id, endpoint, input_file_id: file.id });
+        runBatches();
+        res.json(describeBatch(batch));
+    } catch (error) {
+        return sendOpenAIError(res, error);
     }
 });
 
-app.post('/api/phi3-mini', async (req, res) => {
-    const input = req.body.input;
-    if (!input) return res.status(400).json({ error: 'Missing input' });
+app.get('/v1/batches', (req, res) => {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    const batches = batchStore.list(req.apiKey.id);
+    const start = req.query.after ? batches.findIndex(batch => batch.id === req.query.after) + 1 : 0;
+    const page = batches.slice(start, start + limit);
+    res.json({
+        object: 'list',
+        data: page.map(describeBatch),
+        first_id: page[0]?.id ?? null,
+        last_id: page.at(-1)?.id ?? null,
+        has_more: start + limit < batches.length
+    });
+});
 
-    console.log(`Processing phi3-mini request with input: ${input.substring(0, 100)}...`);
+app.get('/v1/batches/:id', (req, res) => {
+    const batch = batchStore.get(req.params.id, req.apiKey.id);
+    if (!batch) {
+        return sendNotFound(res, 'batch', req.params.id);
+    }
+    res.json(describeBatch(batch));
+});
 
-    try {
-        const result = await callOllamaAPI('phi3:mini', input, 120000);
-        console.log('Phi3-mini request completed successfully');
-        res.json({ result: result });
-    } catch (error) {
-        console.error('Phi3-mini error:', error.message);
-        
-        if (error.message.includes('timeout')) {
-            return res.status(408).json({ error: error.message });
-        }
-        
-        return res.status(500).json({ error: error.message });
+app.post('/v1/batches/:id/cancel', (req, res) => {
+    const batch = batchStore.get(req.params.id, req.apiKey.id);
+    if (!batch) {
+        return sendNotFound(res, 'batch', req.params.id);
+    }
+    if (batch.status === 'validating' || batch.status === 'in_progress') {
+        batch.status = 'cancelling';
+        batch.cancelling_at = Math.floor(Date.now() / 1000);
+        batchStore.save(batch);
+        log.info('Cancelling batch', { batch_id: batch.id, ...batch.request_counts });
+        runningBatches.get(batch.id)?.abort();
+        runBatches();
+    } else if (batch.status !== 'cancelling') {
+        return res.status(409).json({
+            error: {
+                message: `Batch ${batch.id} is ${batch.status} and can no longer be cancelled`,
+                type: 'invalid_request_error',
+                param: null,
+                code: 'batch_not_cancellable'
+            }
+        });
     }
+    res.json(describeBatch(batch));
 });
 
 app.get('/api/test-ollama', async (req, res) => {
-    console.log('Testing ollama API with simple command...');
+    log.info('Testing Ollama API with a simple prompt');
     
     try {
         const startTime = Date.now();
@@ -566,23 +4249,23 @@ app.get('/api/test-ollama', async (req, res) => {
         
         res.json({ 
             success: true, 
-            result: result,
+            result: result.text,
             duration_ms: duration,
             message: 'Ollama API is working correctly',
             method: 'REST API'
         });
     } catch (error) {
-        console.error('Ollama API test error:', error.message);
+        log.error('Ollama API test failed', { error: error.message });
         res.status(500).json({ 
             error: error.message,
             method: 'REST API',
-            api_url: OLLAMA_API_URL
+            backends: ollamaBackends.backends.map(backend => backend.url)
         });
     }
 });
 
 app.get('/api/test-complex', async (req, res) => {
-    console.log('Testing ollama with a complex prompt...');
+    log.info('Testing Ollama API with a complex prompt');
     
     try {
         const startTime = Date.now();
@@ -591,17 +4274,17 @@ app.get('/api/test-complex', async (req, res) => {
         
         res.json({ 
             success: true, 
-            result: result,
+            result: result.text,
             duration_ms: duration,
             message: 'Complex prompt test completed',
             method: 'REST API'
         });
     } catch (error) {
-        console.error('Complex test error:', error.message);
+        log.error('Complex prompt test failed', { error: error.message });
         res.status(500).json({ 
             error: error.message,
             method: 'REST API',
-            api_url: OLLAMA_API_URL,
+            backends: ollamaBackends.backends.map(backend => backend.url),
             suggestion: 'Try restarting ollama service: ollama serve'
         });
     }
@@ -609,102 +4292,386 @@ app.get('/api/test-complex', async (req, res) => {
 
 app.get('/api/ollama-status', async (req, res) => {
     try {
-        const response = await fetch(`${OLLAMA_API_URL}/api/tags`);
-        
-        if (!response.ok) {
-            throw new Error(`Ollama service not responding (${response.status})`);
-        }
-        
-        const data = await response.json();
-        
+        const models = await fetchInstalledModels({ refresh: true });
+        const down = ollamaBackends.backends.filter(backend => !backend.healthy);
+
         res.json({
-            status: 'running',
-            api_url: OLLAMA_API_URL,
-            models: data.models || []
+            status: down.length > 0 ? 'degraded' : 'running',
+            routing: ollamaBackends.routing,
+            backends: ollamaBackends.status(),
+            models,
+            queues: getQueueStatus()
         });
         
     } catch (error) {
-        console.error('Ollama status check failed:', error.message);
+        log.error('Ollama status check failed', { error: error.message });
         res.status(500).json({
             status: 'error',
             error: error.message,
-            api_url: OLLAMA_API_URL
+            routing: ollamaBackends.routing,
+            backends: ollamaBackends.status(),
+            queues: getQueueStatus()
         });
     }
 });
 
-async function callGoogleGemmaAPI(requestBody) {
-    try {
-        if (!GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY environment variable not set');
-        }
+const GOOGLE_OPTION_NAMES = {
+    temperature: 'temperature',
+    top_p: 'topP',
+    top_k: 'topK',
+    num_predict: 'maxOutputTokens',
+    seed: 'seed',
+    stop: 'stopSequences',
+    presence_penalty: 'presencePenalty',
+    frequency_penalty: 'frequencyPenalty'
+};
 
-        const ai = new GoogleGenAI({
-            apiKey: GEMINI_API_KEY,
-        });
-        
-        const config = {
-            responseMimeType: 'text/plain',
-        };
-        
-        const model = 'gemma-3n-e4b-it';
+let googleClient = null;
 
-        let contents;
-        
-        if (requestBody.prompt) {
-            contents = [
-                {
-                    role: 'user',
-                    parts: [
-                        {
-                            text: requestBody.prompt,
-                        },
-                    ],
-                },
-            ];
-        } else if (requestBody.contents) {
-            contents = requestBody.contents;
+function getGoogleClient() {
+    if (!GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY environment variable not set');
+    }
+    googleClient ??= new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+    return googleClient;
+}
+
+function buildGoogleConfig(options = {}) {
+    const config = { responseMimeType: 'text/plain' };
+    for (const [option, value] of Object.entries(options)) {
+        if (GOOGLE_OPTION_NAMES[option] && !(option === 'num_predict' && value < 0)) {
+            config[GOOGLE_OPTION_NAMES[option]] = value;
+        }
+    }
+    return config;
+}
+
+function convertMessagesForGoogle(messages) {
+    const system = [];
+    const contents = [];
+    for (const message of messages) {
+        const text = getMessageText(message.content);
+        if (message.role === 'system' || message.role === 'developer') {
+            system.push(text);
+            continue;
+        }
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const images = getMessageImages(message.content);
+        const parts = [
+            ...(text || images.length === 0 ? [{ text }] : []),
+            ...images.map(image => ({ inlineData: { mimeType: image.mime_type, data: image.data } }))
+        ];
+        const last = contents[contents.length - 1];
+        if (last?.role === role) {
+            last.parts.push(...parts);
         } else {
-            contents = requestBody;
+            contents.push({ role, parts });
         }
+    }
+    return { contents, systemInstruction: system.length > 0 ? system.join('\n\n') : undefined };
+}
 
-        console.log(`Calling Google Gemma API with request: ${JSON.stringify({ contents }).substring(0, 200)}...`);
-        
-        const response = await ai.models.generateContentStream({
+function getGoogleFinishReason(reason) {
+    if (reason === 'MAX_TOKENS') {
+        return 'length';
+    }
+    if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'].includes(reason)) {
+        return 'content_filter';
+    }
+    return 'stop';
+}
+
+function getGoogleUsage(metadata, totalMs, firstTokenMs) {
+    const completionTokens = metadata ? (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0) : undefined;
+    const promptEvalMs = firstTokenMs ?? totalMs;
+    const evalMs = totalMs - promptEvalMs;
+    return {
+        prompt_tokens: metadata?.promptTokenCount,
+        completion_tokens: completionTokens,
+        timings: {
+            total_ms: totalMs,
+            load_ms: 0,
+            prompt_eval_ms: promptEvalMs,
+            eval_ms: evalMs,
+            prompt_tokens_per_second: null,
+            tokens_per_second: completionTokens && evalMs ? Math.round(completionTokens / (evalMs / 1000) * 100) / 100 : null
+        }
+    };
+}
+
+async function callGoogleAPI(model, contents, { systemInstruction, options, onToken, signal, timeout = 120000 } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    if (signal) {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    log.debug('Calling Google GenAI API', { google_model: model, contents: contents.length, stream: Boolean(onToken) });
+
+    try {
+        const startTime = Date.now();
+        const response = await getGoogleClient().models.generateContentStream({
             model,
-            config,
             contents,
+            config: {
+                ...buildGoogleConfig(options),
+                ...(systemInstruction ? { systemInstruction } : {}),
+                abortSignal: controller.signal
+            }
         });
-        
-        let result = '';
+
+        let text = '';
+        let usageMetadata = null;
+        let finishReason = null;
+        let firstTokenMs = null;
         for await (const chunk of response) {
             if (chunk.text) {
-                result += chunk.text;
+                firstTokenMs ??= Date.now() - startTime;
+                text += chunk.text;
+                onToken?.(chunk.text);
             }
+            usageMetadata = chunk.usageMetadata || usageMetadata;
+            finishReason = chunk.candidates?.[0]?.finishReason || finishReason;
         }
-        
-        console.log('Google Gemma API response received');
-        return result;
-        
+        clearTimeout(timeoutId);
+
+        log.debug('Google GenAI response received', { google_model: model });
+        geminiRequests.inc({ status: 'success' });
+        return {
+            text,
+            finish_reason: getGoogleFinishReason(finishReason),
+            tool_calls: [],
+            usage: getGoogleUsage(usageMetadata, Date.now() - startTime, firstTokenMs)
+        };
     } catch (error) {
-        console.error('Google Gemma API error:', error.message);
+        clearTimeout(timeoutId);
+        geminiRequests.inc({ status: 'error' });
+
+        if (controller.signal.aborted) {
+            if (signal?.aborted) {
+                throw new Error('Request aborted - client disconnected');
+            }
+            throw new Error('Request timeout - Google took too long to respond');
+        }
+
+        log.error('Google GenAI API error', { google_model: model, error: error.message });
         throw error;
     }
 }
 
+function validateGoogleRequest(modelEntry, messages, tools = [], toolChoice) {
+    if (modelEntry.provider !== 'google') {
+        return;
+    }
+    if (tools.length > 0 && toolChoice !== 'none') {
+        throw invalidParameter('tools', `Tools are not supported for the Google model '${modelEntry.name}'`);
+    }
+    const unsupported = messages.find(message => !['system', 'developer', 'user', 'assistant'].includes(message.role));
+    if (unsupported) {
+        throw invalidParameter('messages', `Messages with role "${unsupported.role}" are not supported for Google models`);
+    }
+}
+
+async function runGoogleChat(modelEntry, messages, { options, tools = [], toolChoice, onToken, signal } = {}) {
+    validateGoogleRequest(modelEntry, messages, tools, toolChoice);
+    if (hasImages(messages)) {
+        await requireVision(modelEntry);
+    }
+    const { contents, systemInstruction } = convertMessagesForGoogle(messages);
+    return callGoogleAPI(modelEntry.google, contents, { systemInstruction, options, onToken, signal, timeout: modelEntry.timeout });
+}
+
+async function runCompletion(modelEntry, prompt, { options, onToken, signal, format, images = [] } = {}) {
+    if (images.length > 0) {
+        await requireVision(modelEntry, 'images');
+    }
+    return callOllamaAPI(modelEntry.ollama, prompt, modelEntry.timeout, { options, onToken, signal, format, images: images.map(image => image.data) });
+}
+
+const providers = {
+    ollama: {
+        chat: runChatCompletion,
+        complete: runCompletion
+    },
+    google: {
+        chat: runGoogleChat,
+        complete: (modelEntry, prompt, { images = [], ...settings } = {}) => runGoogleChat(modelEntry, [{
+            role: 'user',
+            content: images.length > 0 ? [{ type: 'text', text: prompt }, ...images] : prompt
+        }], settings)
+    }
+};
+
+function getProvider(modelEntry) {
+    return providers[modelEntry.provider || 'ollama'];
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseResponseFormat(responseFormat) {
+    if (responseFormat === undefined || responseFormat === null || responseFormat.type === 'text') {
+        return null;
+    }
+    if (responseFormat.type === 'json_object') {
+        return { type: 'json_object' };
+    }
+    if (responseFormat.type === 'json_schema') {
+        const { name = 'response', schema } = responseFormat.json_schema || {};
+        if (!isPlainObject(schema)) {
+            throw invalidParameter('response_format.json_schema.schema', 'response_format.json_schema.schema must be a JSON schema object');
+        }
+        return { type: 'json_schema', name, schema };
+    }
+    throw invalidParameter('response_format.type', 'response_format.type must be "text", "json_object" or "json_schema"');
+}
+
+function parseNativeSchema(schema) {
+    if (schema === undefined || schema === null) {
+        return null;
+    }
+    if (schema === 'json') {
+        return { type: 'json_object' };
+    }
+    if (!isPlainObject(schema)) {
+        throw invalidParameter('schema', 'schema must be a JSON schema object or "json"');
+    }
+    return { type: 'json_schema', name: 'response', schema };
+}
+
+function buildJsonInstruction(responseFormat) {
+    if (responseFormat.type === 'json_object') {
+        return 'Respond with a single valid JSON object and nothing else.';
+    }
+    return `Respond with valid JSON only, without any other text, that matches this JSON schema:\n${JSON.stringify(responseFormat.schema)}`;
+}
+
+function checkJsonOutput(text, responseFormat) {
+    const json = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (error) {
+        return { json, errors: [`the answer is not valid JSON (${error.message})`] };
+    }
+    if (responseFormat.type === 'json_object') {
+        return { json, value, errors: isPlainObject(value) ? [] : ['the answer must be a JSON object'] };
+    }
+    return { json, value, errors: validateJsonSchema(value, responseFormat.schema) };
+}
+
+async function generateJson(responseFormat, onToken, attempt) {
+    const tokens = { prompt_tokens: 0, completion_tokens: 0 };
+    let feedback = null;
+    let errors = [];
+
+    for (let attemptNumber = 1; attemptNumber <= STRUCTURED_OUTPUT_RETRIES + 1; attemptNumber++) {
+        const result = await attempt(feedback);
+        tokens.prompt_tokens += result.usage?.prompt_tokens || 0;
+        tokens.completion_tokens += result.usage?.completion_tokens || 0;
+        if (result.tool_calls?.length > 0) {
+            return result;
+        }
+
+        const output = checkJsonOutput(result.text, responseFormat);
+        errors = output.errors;
+        if (errors.length === 0) {
+            if (onToken) {
+                onToken(output.json);
+            }
+            const usage = attemptNumber > 1 && result.usage ? { ...result.usage, ...tokens } : result.usage;
+            return { ...result, text: output.json, json: output.value, usage };
+        }
+
+        log.warn('Model output does not match the response format', { attempt: attemptNumber, format: responseFormat.type, errors: errors.slice(0, 5) });
+        feedback = {
+            output: result.text,
+            message: `Your previous answer was rejected: ${errors.slice(0, 5).join('; ')}. ${buildJsonInstruction(responseFormat)}`
+        };
+    }
+
+    const error = new Error(`The model did not produce JSON matching the requested ${responseFormat.type === 'json_schema' ? `schema "${responseFormat.name}"` : 'format'} after ${STRUCTURED_OUTPUT_RETRIES + 1} attempts: ${errors.slice(0, 5).join('; ')}`);
+    error.code = 'invalid_json_output';
+    error.validationErrors = errors;
+    throw error;
+}
+
+function getOllamaFormat(responseFormat) {
+    return responseFormat.type === 'json_object' ? 'json' : responseFormat.schema;
+}
+
+async function chatWithFormat(modelEntry, messages, { responseFormat, onToken, ...settings }) {
+    if (!responseFormat) {
+        return getProvider(modelEntry).chat(modelEntry, messages, { ...settings, onToken });
+    }
+    let conversation = addSystemInstruction(messages, buildJsonInstruction(responseFormat));
+    return generateJson(responseFormat, onToken, (feedback) => {
+        if (feedback) {
+            conversation = [...conversation, { role: 'assistant', content: feedback.output }, { role: 'user', content: feedback.message }];
+        }
+        return getProvider(modelEntry).chat(modelEntry, conversation, { ...settings, format: getOllamaFormat(responseFormat) });
+    });
+}
+
+async function completeWithFormat(modelEntry, prompt, { responseFormat, onToken, ...settings }) {
+    if (!responseFormat) {
+        return getProvider(modelEntry).complete(modelEntry, prompt, { ...settings, onToken });
+    }
+    const instructed = `${prompt}\n\n${buildJsonInstruction(responseFormat)}`;
+    return generateJson(responseFormat, onToken, (feedback) => getProvider(modelEntry).complete(
+        modelEntry,
+        feedback ? `${instructed}\n\n${feedback.message}` : instructed,
+        { ...settings, format: getOllamaFormat(responseFormat) }
+    ));
+}
+
+async function callGoogleGemmaAPI(requestBody) {
+    let contents;
+
+    if (requestBody.prompt) {
+        contents = [
+            {
+                role: 'user',
+                parts: [
+                    {
+                        text: requestBody.prompt,
+                    },
+                ],
+            },
+        ];
+    } else if (requestBody.contents) {
+        contents = requestBody.contents;
+    } else {
+        contents = requestBody;
+    }
+
+    return callGoogleAPI(GOOGLE_DEFAULT_MODEL, contents);
+}
+
 app.post('/api/google-gemma', async (req, res) => {
-    console.log(`Processing Google Gemma request with body: ${JSON.stringify(req.body).substring(0, 100)}...`);
-    
+    log.info('Processing Google Gemma request', log.promptFields(req.body.prompt ?? JSON.stringify(req.body.contents ?? req.body)));
+
     try {
+        const modelEntry = authorizeModel(req, await resolveModel(`google/${GOOGLE_DEFAULT_MODEL}`));
+        trackUsage(req, res, modelEntry);
+        enforceRateLimits(req, res, modelEntry);
         const result = await callGoogleGemmaAPI(req.body);
-        console.log('Google Gemma request completed successfully');
+        const usage = buildUsage([result], JSON.stringify(req.body).length);
+        res.locals.usage = usage;
         res.json({ 
-            result: result,
-            model: 'gemma-3n-e4b-it',
-            provider: 'google'
+            result: result.text,
+            model: GOOGLE_DEFAULT_MODEL,
+            provider: 'google',
+            usage,
+            timings: {
+                total_ms: result.usage.timings.total_ms,
+                time_to_first_token_ms: result.usage.timings.prompt_eval_ms,
+                tokens_per_second: result.usage.timings.tokens_per_second
+            }
         });
     } catch (error) {
-        console.error('Google Gemma error:', error.message);
+        log.error('Google Gemma request failed', { error: error.message });
         
         if (error.message.includes('GEMINI_API_KEY')) {
             return res.status(500).json({ 
@@ -712,22 +4679,34 @@ app.post('/api/google-gemma', async (req, res) => {
             });
         }
         
-        return res.status(500).json({ error: error.message });
+        return sendNativeError(res, error);
     }
 });
 
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `The request body is larger than ${req.path === '/v1/files' ? FILE_UPLOAD_LIMIT : REQUEST_BODY_LIMIT}` });
+    }
+    log.error('Unhandled error', { request_id: req.id, error: err.message, stack: err.stack });
     res.status(500).json({ error: 'Internal server error' });
 });
 
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Mileva API server running on port ${PORT}`);
-    console.log(`Purpose: Testing and accessing ANY installed Ollama model`);
-    console.log(`API key to use: ${API_KEY}`);
-    console.log(`Documentation: http://localhost:${PORT}/`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`Ollama test: http://localhost:${PORT}/api/test-ollama`);
-    console.log(`Ollama status: http://localhost:${PORT}/api/ollama-status`);
-    console.log(`\nTo add new models: Just create new endpoints following the pattern!`);
+    log.info(`Mileva API server running on port ${PORT}`, {
+        port: Number(PORT),
+        api_keys: keyStore.keys.length,
+        keys_file: KEYS_FILE,
+        env_key: Boolean(envKeyRecord),
+        models_config: MODELS_CONFIG,
+        ollama_backends: ollamaBackends.backends.map(backend => backend.url),
+        ollama_routing: OLLAMA_ROUTING,
+        prompt_logging: LOG_PROMPTS,
+        documentation: `http://localhost:${PORT}/`,
+        health_check: `http://localhost:${PORT}/health`,
+        ollama_status: `http://localhost:${PORT}/api/ollama-status`
+    });
+    if (!envKeyRecord && keyStore.keys.length === 0) {
+        log.warn('No API keys configured - set API_KEY or create one with: npm run keys -- create --label <name>');
+    }
+    runBatches();
 });
@@ -1,17 +1,61 @@
 import { spawn } from 'child_process';
-import { writeFileSync, appendFileSync } from 'fs';
+import { appendFileSync, existsSync, renameSync, rmSync, statSync } from 'fs';
 
 const MAX_RESTARTS = 5;
 const RESTART_DELAY = 5000;
+const LOG_FILE = process.env.LOG_FILE || 'server.log';
+const LOG_MAX_BYTES = Number(process.env.LOG_MAX_BYTES) || 10 * 1024 * 1024;
+const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
 
 let restartCount = 0;
 let serverProcess = null;
+let logSize = existsSync(LOG_FILE) ? statSync(LOG_FILE).size : 0;
 
-function logMessage(message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}\n`;
-    console.log(logEntry.trim());
-    appendFileSync('server.log', logEntry);
+function rotateLog() {
+    rmSync(`${LOG_FILE}.${LOG_MAX_FILES}`, { force: true });
+    for (let index = LOG_MAX_FILES - 1; index >= 1; index--) {
+        if (existsSync(`${LOG_FILE}.${index}`)) {
+            renameSync(`${LOG_FILE}.${index}`, `${LOG_FILE}.${index + 1}`);
+        }
+    }
+    if (existsSync(LOG_FILE)) {
+        renameSync(LOG_FILE, `${LOG_FILE}.1`);
+    }
+    logSize = 0;
+}
+
+function writeLog(text) {
+    if (logSize + Buffer.byteLength(text) > LOG_MAX_BYTES) {
+        rotateLog();
+    }
+    appendFileSync(LOG_FILE, text);
+    logSize += Buffer.byteLength(text);
+}
+
+function logMessage(message, level = 'info') {
+    const logEntry = JSON.stringify({ time: new Date().toISOString(), level, msg: message, source: 'start-server' }) + '\n';
+    process.stdout.write(logEntry);
+    writeLog(logEntry);
+}
+
+function forwardOutput(stream, output) {
+    let buffer = '';
+    stream.on('data', (data) => {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        if (lines.length > 0) {
+            const text = lines.join('\n') + '\n';
+            output.write(text);
+            writeLog(text);
+        }
+    });
+    stream.on('end', () => {
+        if (buffer) {
+            output.write(buffer + '\n');
+            writeLog(buffer + '\n');
+        }
+    });
 }
 
 function startServer() {
@@ -22,16 +66,11 @@ function startServer() {
         env: process.env
     });
 
-    serverProcess.stdout.on('data', (data) => {
-        logMessage(`SERVER: ${data.toString().trim()}`);
-    });
-
-    serverProcess.stderr.on('data', (data) => {
-        logMessage(`SERVER ERROR: ${data.toString().trim()}`);
-    });
+    forwardOutput(serverProcess.stdout, process.stdout);
+    forwardOutput(serverProcess.stderr, process.stderr);
 
     serverProcess.on('close', (code) => {
-        logMessage(`Server process exited with code ${code}`);
+        logMessage(`Server process exited with code ${code}`, code === 0 ? 'info' : 'error');
         
         if (code !== 0 && restartCount < MAX_RESTARTS) {
             restartCount++;
@@ -41,14 +80,14 @@ function startServer() {
                 startServer();
             }, RESTART_DELAY);
         } else if (restartCount >= MAX_RESTARTS) {
-            logMessage('Max restart attempts reached. Server will not restart automatically.');
+            logMessage('Max restart attempts reached. Server will not restart automatically.', 'error');
         } else {
             logMessage('Server shut down normally.');
         }
     });
 
     serverProcess.on('error', (error) => {
-        logMessage(`Failed to start server: ${error.message}`);
+        logMessage(`Failed to start server: ${error.message}`, 'error');
     });
 
     setTimeout(() => {
@@ -72,6 +111,6 @@ process.on('SIGTERM', () => {
     process.exit(0);
 });
 
-writeFileSync('server.log', `=== Server started at ${new Date().toISOString()} ===\n`);
+logMessage(`Process manager started, logging to ${LOG_FILE} (rotated at ${Math.round(LOG_MAX_BYTES / 1024 / 1024)} MB, keeping ${LOG_MAX_FILES} files)`);
 
 startServer(); 
\ No newline at end of file
@@ -0,0 +1,216 @@
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalidVariable(param, message) {
+    const error = new Error(message);
+    error.param = param;
+    return error;
+}
+
+function findPlaceholders(text) {
+    return text ? [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]) : [];
+}
+
+export function getTemplateVariables(template) {
+    return [...new Set([...findPlaceholders(template.system), ...findPlaceholders(template.body)])];
+}
+
+export function normalizeTemplate(definition) {
+    if (!isPlainObject(definition)) {
+        throw new Error('A template must be a JSON object');
+    }
+    const { name, description = null, model, system = null, body, variables = {}, parameters = {}, version = 1 } = definition;
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error('Template name must only contain letters, digits, ".", "_" and "-"');
+    }
+    if (typeof model !== 'string' || !model) {
+        throw new Error(`Template "${name}" needs a model`);
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+        throw new Error(`Template "${name}" needs a body`);
+    }
+    if (system !== null && typeof system !== 'string') {
+        throw new Error(`Template "${name}" must have a string system prompt`);
+    }
+    if (description !== null && typeof description !== 'string') {
+        throw new Error(`Template "${name}" must have a string description`);
+    }
+    if (!isPlainObject(parameters)) {
+        throw new Error(`Template "${name}" must list its parameters as an object`);
+    }
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Template "${name}" must have a whole version number >= 1`);
+    }
+    if (!isPlainObject(variables)) {
+        throw new Error(`Template "${name}" must describe its variables as an object`);
+    }
+
+    const used = getTemplateVariables({ system, body });
+    for (const [variable, spec] of Object.entries(variables)) {
+        if (!used.includes(variable)) {
+            throw new Error(`Template "${name}" declares the variable "${variable}" but does not use it as {{${variable}}}`);
+        }
+        if (!isPlainObject(spec)) {
+            throw new Error(`Variable "${variable}" of template "${name}" must be an object like {"description": "...", "default": "..."}`);
+        }
+        if (spec.default !== undefined && !SCALAR_TYPES.includes(typeof spec.default)) {
+            throw new Error(`The default of variable "${variable}" in template "${name}" must be a string, number or boolean`);
+        }
+    }
+
+    return { name, description, model, system, body, variables, parameters, version };
+}
+
+export function renderTemplate(template, values = {}) {
+    if (!isPlainObject(values)) {
+        throw invalidVariable('variables', 'variables must be an object of variable names and values');
+    }
+    const names = getTemplateVariables(template);
+    const unknown = Object.keys(values).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+        throw invalidVariable(`variables.${unknown[0]}`, `Template "${template.name}" has no variable "${unknown[0]}" (it uses: ${names.join(', ') || 'none'})`);
+    }
+
+    const resolved = {};
+    for (const name of names) {
+        const value = values[name] ?? template.variables[name]?.default;
+        if (value === undefined || value === null) {
+            throw invalidVariable(`variables.${name}`, `Missing variable "${name}"${template.variables[name]?.description ? ` (${template.variables[name].description})` : ''}`);
+        }
+        if (!SCALAR_TYPES.includes(typeof value)) {
+            throw invalidVariable(`variables.${name}`, `Variable "${name}" must be a string, number or boolean`);
+        }
+        resolved[name] = String(value);
+    }
+
+    const fill = text => text && text.replace(PLACEHOLDER_PATTERN, (match, name) => resolved[name]);
+    return { system: fill(template.system), prompt: fill(template.body) };
+}
+
+export function describeTemplate(template) {
+    return {
+        name: template.name,
+        object: 'template',
+        description: template.description,
+        model: template.model,
+        version: template.version,
+        versions: [template.version, ...template.previous.map(previous => previous.version)],
+        system: template.system,
+        body: template.body,
+        variables: getTemplateVariables(template).map(name => ({
+            name,
+            description: template.variables[name]?.description ?? null,
+            default: template.variables[name]?.default ?? null,
+            required: template.variables[name]?.default === undefined
+        })),
+        parameters: template.parameters,
+        created_at: template.created_at,
+        updated_at: template.updated_at
+    };
+}
+
+export function createTemplateStore(directory, { log, validate, examples } = {}) {
+    const templates = new Map();
+    const pathFor = name => join(directory, `${name}.json`);
+
+    const prepare = (definition) => {
+        const template = normalizeTemplate(definition);
+        validate?.(template);
+        return template;
+    };
+
+    const save = (template) => {
+        mkdirSync(directory, { recursive: true });
+        writeFileSync(pathFor(template.name), JSON.stringify(template, null, 4) + '\n');
+        templates.set(template.name, template);
+        return template;
+    };
+
+    return {
+        load() {
+            if (!existsSync(directory) && examples && existsSync(examples)) {
+                mkdirSync(directory, { recursive: true });
+                for (const file of readdirSync(examples).filter(name => name.endsWith('.json'))) {
+                    copyFileSync(join(examples, file), join(directory, file));
+                }
+                log?.info('Copied example prompt templates', { from: examples, path: directory });
+            }
+            if (!existsSync(directory)) {
+                return;
+            }
+            for (const file of readdirSync(directory).filter(name => name.endsWith('.json'))) {
+                try {
+                    const definition = JSON.parse(readFileSync(join(directory, file), 'utf8'));
+                    const template = prepare(definition);
+                    if (`${template.name}.json` !== file) {
+                        throw new Error(`the file should be called ${template.name}.json`);
+                    }
+                    templates.set(template.name, {
+                        ...template,
+                        created_at: definition.created_at || null,
+                        updated_at: definition.updated_at || null,
+                        previous: Array.isArray(definition.previous) ? definition.previous : []
+                    });
+                } catch (error) {
+                    log?.warn('Ignoring invalid prompt template', { file, error: error.message });
+                }
+            }
+            log?.info('Loaded prompt templates', { path: directory, templates: templates.size });
+        },
+
+        list() {
+            return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        get(name, version) {
+            const template = templates.get(name);
+            if (!template || version === undefined || version === null || Number(version) === template.version) {
+                return template || null;
+            }
+            const previous = template.previous.find(candidate => candidate.version === Number(version));
+            return previous ? { ...previous, previous: [] } : null;
+        },
+
+        create(definition) {
+            const template = prepare({ ...definition, version: 1 });
+            if (templates.has(template.name)) {
+                const error = new Error(`Template "${template.name}" already exists, update it with PUT /api/admin/templates/${template.name}`);
+                error.code = 'template_exists';
+                throw error;
+            }
+            const now = new Date().toISOString();
+            return save({ ...template, created_at: now, updated_at: now, previous: [] });
+        },
+
+        update(name, changes) {
+            const current = templates.get(name);
+            if (!current) {
+                return null;
+            }
+            const { previous, ...snapshot } = current;
+            const merged = { ...snapshot, ...changes, name, version: current.version + 1 };
+            if (changes.variables === undefined && [merged.system, merged.body].every(text => text === null || typeof text === 'string')) {
+                const used = getTemplateVariables(merged);
+                merged.variables = Object.fromEntries(Object.entries(snapshot.variables).filter(([variable]) => used.includes(variable)));
+            }
+            const template = prepare(merged);
+            return save({ ...template, created_at: current.created_at, updated_at: new Date().toISOString(), previous: [snapshot, ...previous] });
+        },
+
+        remove(name) {
+            if (!templates.delete(name)) {
+                return false;
+            }
+            rmSync(pathFor(name), { force: true });
+            return true;
+        }
+    };
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import http from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { createKey, saveKeys } from '../key-store.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function freePort() {
+    const server = http.createServer();
+    const port = await listen(server);
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+function startOllama() {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            if (req.url === '/api/tags') {
+                return res.end(JSON.stringify({ models: [{ name: 'llama3.2:1b', model: 'llama3.2:1b' }] }));
+            }
+            if (req.url === '/api/show') {
+                return res.end(JSON.stringify({ model_info: { 'llama.context_length': 131072 }, capabilities: ['completion'] }));
+            }
+            const { model } = JSON.parse(body);
+            res.end(JSON.stringify({
+                model,
+                done: true,
+                done_reason: 'stop',
+                message: { role: 'assistant', content: 'Hello from the test model' },
+                prompt_eval_count: 12,
+                eval_count: 6
+            }));
+        });
+    });
+    return listen(server).then(port => ({ server, url: `http://127.0.0.1:${port}` }));
+}
+
+async function startServer(env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, API_KEY: '', LOG_LEVEL: 'error', USAGE_LOG: 'off', PORT: String(port), ...env },
+        stdio: 'ignore'
+    });
+    const url = `http://127.0.0.1:${port}`;
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            await fetch(`${url}/health`);
+            return { child, url };
+        } catch {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    child.kill();
+    throw new Error('The server did not start');
+}
+
+test('batch requests use up the token quota of the key that created the batch', { timeout: 30000 }, async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'mileva-batch-'));
+    const ollama = await startOllama();
+    const { key, record } = createKey({ label: 'batch', tpd: 20 });
+    saveKeys(join(directory, 'keys.json'), [record]);
+    const server = await startServer({
+        OLLAMA_API_URL: ollama.url,
+        KEYS_FILE: join(directory, 'keys.json'),
+        FILES_DIR: join(directory, 'files'),
+        BATCHES_DIR: join(directory, 'batches'),
+        CONVERSATIONS_DIR: join(directory, 'conversations'),
+        TEMPLATES_DIR: join(directory, 'templates')
+    });
+    const headers = { Authorization: `Bearer ${key}` };
+    const chat = { model: 'llama32-1b', messages: [{ role: 'user', content: 'hi' }] };
+
+    try {
+        const lines = ['a', 'b'].map(id => JSON.stringify({ custom_id: id, method: 'POST', url: '/v1/chat/completions', body: chat }));
+        const form = new FormData();
+        form.append('purpose', 'batch');
+        form.append('file', new Blob([lines.join('\n')]), 'requests.jsonl');
+        const file = await (await fetch(`${server.url}/v1/files`, { method: 'POST', headers, body: form })).json();
+
+        let batch = await (await fetch(`${server.url}/v1/batches`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' })
+        })).json();
+        while (!['completed', 'failed'].includes(batch.status)) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            batch = await (await fetch(`${server.url}/v1/batches/${batch.id}`, { headers })).json();
+        }
+        assert.equal(batch.status, 'completed');
+        assert.deepEqual(batch.request_counts, { total: 2, completed: 2, failed: 0 });
+
+        const response = await fetch(`${server.url}/v1/chat/completions`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(chat)
+        });
+        assert.equal(response.status, 429);
+        assert.equal((await response.json()).error.code, 'rate_limit_exceeded');
+    } finally {
+        server.child.kill();
+        ollama.server.close();
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createTemplateStore } from '../template-store.js';
+
+function withStore(run) {
+    const directory = mkdtempSync(join(tmpdir(), 'mileva-templates-'));
+    try {
+        run(createTemplateStore(directory));
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('a body-only update drops variables the new body no longer uses', () => withStore(store => {
+    store.create({
+        name: 'greet',
+        model: 'llama32-1b',
+        body: 'Say hello to {{name}} in {{language}}',
+        variables: { name: { description: 'Who to greet' }, language: { default: 'English' } }
+    });
+
+    const updated = store.update('greet', { body: 'Say hello to {{name}}' });
+
+    assert.equal(updated.version, 2);
+    assert.deepEqual(updated.variables, { name: { description: 'Who to greet' } });
+    assert.deepEqual(store.get('greet', 1).variables.language, { default: 'English' });
+}));
+
+test('a new template directory starts with the example templates', () => {
+    const root = mkdtempSync(join(tmpdir(), 'mileva-templates-'));
+    try {
+        createTemplateStore(join(root, 'examples')).create({ name: 'greet', model: 'llama32-1b', body: 'Say hello to {{name}}' });
+
+        const store = createTemplateStore(join(root, 'data'), { examples: join(root, 'examples') });
+        store.load();
+        assert.equal(store.get('greet').body, 'Say hello to {{name}}');
+
+        store.remove('greet');
+        const reloaded = createTemplateStore(join(root, 'data'), { examples: join(root, 'examples') });
+        reloaded.load();
+        assert.equal(reloaded.get('greet'), null);
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('an update that sends variables still rejects unused ones', () => withStore(store => {
+    store.create({ name: 'greet', model: 'llama32-1b', body: 'Say hello to {{name}}' });
+
+    assert.throws(
+        () => store.update('greet', { body: 'Say hello', variables: { name: { description: 'Who to greet' } } }),
+        /declares the variable "name"/
+    );
+}));
@@ -0,0 +1,79 @@
+import { createReadStream, existsSync, mkdirSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+
+export const USAGE_FIELDS = ['timestamp', 'key_id', 'key_label', 'route', 'model', 'ollama_model', 'status', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms', 'stream', 'cached'];
+export const SUMMARY_FIELDS = ['day', 'key_id', 'key_label', 'model', 'requests', 'errors', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'avg_latency_ms'];
+
+export async function appendUsage(path, record) {
+    mkdirSync(dirname(path), { recursive: true });
+    await appendFile(path, JSON.stringify(record) + '\n');
+}
+
+export async function readUsage(path, { keyId, models, from, to } = {}) {
+    if (!existsSync(path)) {
+        return [];
+    }
+    const records = [];
+    const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) {
+            continue;
+        }
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        const time = Date.parse(record.timestamp);
+        if (keyId && record.key_id !== keyId) {
+            continue;
+        }
+        if (models && !models.includes(record.model) && !models.includes(record.ollama_model)) {
+            continue;
+        }
+        if ((from && time < from) || (to && time >= to)) {
+            continue;
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+export function summarizeUsage(records) {
+    const rows = new Map();
+    for (const record of records) {
+        const day = record.timestamp.slice(0, 10);
+        const id = `${day}|${record.key_id}|${record.model}`;
+        let row = rows.get(id);
+        if (!row) {
+            row = { day, key_id: record.key_id, key_label: record.key_label, model: record.model, requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, latency_ms: 0 };
+            rows.set(id, row);
+        }
+        row.requests++;
+        if (record.status >= 400) {
+            row.errors++;
+        }
+        row.prompt_tokens += record.prompt_tokens || 0;
+        row.completion_tokens += record.completion_tokens || 0;
+        row.total_tokens += record.total_tokens || 0;
+        row.latency_ms += record.latency_ms || 0;
+    }
+    return [...rows.values()]
+        .sort((a, b) => a.day.localeCompare(b.day) || a.key_id.localeCompare(b.key_id) || a.model.localeCompare(b.model))
+        .map(({ latency_ms, ...row }) => ({ ...row, avg_latency_ms: Math.round(latency_ms / row.requests) }));
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows, fields) {
+    return [fields.join(','), ...rows.map(row => fields.map(field => csvValue(row[field])).join(','))].join('\n') + '\n';
+}